@@ -2,10 +2,27 @@
  * Drone View Matching Points - Main application
  */
 
-import { CESIUM_TOKEN, VIEW_SETTINGS, VIEWER_SETTINGS1, VIEWER_SETTINGS2 } from './config.js';
-import { setupCameraViews, generateRandomLocation, CameraView } from './sceneGenerator.js';
+import { CESIUM_TOKEN, GLOBAL_REGIONS, LOCATION_SOURCE, REGION_SAMPLING, LOCATION_SEPARATION, SPLIT_SETTINGS, MATCH_CRITERIA, OVERLAP_SETTINGS, KEYPOINT_SETTINGS, SEQUENCE_SETTINGS, DEPTH_SETTINGS, FLOW_SETTINGS, MULTI_VIEW_SETTINGS, RENDER_SETTINGS, IMAGE_FORMAT, VIEW_SETTINGS, VIEWER_SETTINGS1, VIEWER_SETTINGS2 } from './config.js';
+import { setupCameraViews, generateRandomLocation, getVirtualObjectLayout, resolveViewSettings, CameraView } from './sceneGenerator.js';
 import { detectBlurryImage } from './utils.js';
+import { createSeededStream, parseSeed } from './random.js';
+import { captureDepthMap } from './depthMap.js';
+import { encodeCanvasImage, isImageFormatSupported } from './encoders.js';
+import { getTerrainProvider, sampleGroundHeights } from './terrain.js';
+import { sampleSurfaceKeypoints, updateOcclusionFlags, pickSurfacePoints, observeKeypoints } from './keypoints.js';
+import { computeOverlap, isOverlapInBand } from './overlap.js';
+import { generateTrajectory, trajectoryToPoses } from './trajectory.js';
+import { SharedViewRenderer } from './sharedViewer.js';
+import { augmentViewSettings, describeAppearance } from './augmentation.js';
+import { chooseImageryProviders, describeImagery } from './imageryProviders.js';
+import { sampleCameraEffects, applyCameraEffects } from './cameraEffects.js';
+import { computeIntrinsics } from './cameraModel.js';
+import { getLocationSource, setLocationSource } from './locationSources.js';
+import { startQuotaRun, endQuotaRun, isRegionFull, recordRegionPair, mergeQuotaState, areAllQuotasMet, getQuotaState, getRegionReport } from './regionQuotas.js';
+import { startSeparationRun, endSeparationRun, findNearbyUsedLocation, recordUsedLocation, mergeSeparationState, getSeparationState } from './spatialIndex.js';
+import { startSplitManifests, endSplitManifests, recordSplitPair, mergeManifest, getManifestFilename, getManifestText, parseManifest } from './splitAssignment.js';
 import { drawMatchingLines, showLoading, showError, hideLoading, cleanupCanvas } from './visualization.js';
+import { loadLibraries } from './libraries.js';
 import { 
     exportDataset, 
     exportDatasetCollection, 
@@ -13,15 +30,26 @@ import {
     getDatasetCollectionSize,
     requestDirectoryAccess,
     ensureDirectoryAccess,
-    isFileSystemAccessSupported
+    isFileSystemAccessSupported,
+    exportSequenceFrame,
+    exportSequenceTrajectory,
+    readDirectoryText,
+    writeDirectoryText,
+    readDirectoryJson,
+    writeDirectoryJson
 } from './dataExport.js';
 
 // Global state
-let viewer1, viewer2;
+let viewers = []; // Cesium viewers, one per view (view1 first), or views of the shared viewer
+let sharedRenderer = null; // Viewer reused across pairs in RENDER_SETTINGS.mode 'shared'
+let viewSettingsList = []; // Settings each view was created with (view1 first), including the sampled augmentation
 let matchingPoints = [];
 let currentLocation;
+let currentSetup; // Result of setupCameraViews for the current pair
 let locationQueue = []; // Queue to store preloaded locations
 let isPreloadingLocations = false; // Flag to track background preloading
+const MAX_SEED_REJECTIONS = 1000; // Seeds rejected by region quotas or the separation before giving up on a location
+const MAX_PAIR_REJECTIONS = 200; // Consecutive pairs rejected by generateDataset before the run is aborted
 
 /**
  * Start background location preloading
@@ -54,6 +82,11 @@ function startBackgroundLocationPreloading(targetSize = 20) {
                 setTimeout(fillQueue, 100);
             }
         } catch (error) {
+            // The seed was rejected (full region or used site) - no need to wait before the next one
+            if (error.seedRejected) {
+                setTimeout(fillQueue, 0);
+                return;
+            }
             console.warn("Error generating location for queue:", error);
             // Try again after a delay
             setTimeout(fillQueue, 2000);
@@ -69,13 +102,30 @@ function startBackgroundLocationPreloading(targetSize = 20) {
  * @returns {Promise<Object>} - Location object
  */
 async function getNextLocation() {
+    // Drop locations preloaded from a previously selected source
+    const sourceType = getLocationSource().type;
+    // and locations that reached their region quota or got too close to a saved pair while queued
+    locationQueue = locationQueue.filter(location =>
+        location.source === sourceType &&
+        !isRegionFull(location.region) &&
+        !findNearbyUsedLocation(location.lat, location.lon));
+    
     if (locationQueue.length > 0) {
         console.log(`Using location from queue. Remaining: ${locationQueue.length-1}`);
         return locationQueue.shift();
-    } else {
-        console.log("Queue empty, generating new location on demand");
-        return generateRandomLocation();
     }
+    
+    console.log("Queue empty, generating new location on demand");
+    
+    // Seeds in full regions or near used sites are rejected, so keep drawing until one is accepted
+    for (let attempt = 0; attempt < MAX_SEED_REJECTIONS; attempt++) {
+        try {
+            return await generateRandomLocation();
+        } catch (error) {
+            if (!error.seedRejected) throw error;
+        }
+    }
+    throw new Error("No location found outside the full regions and away from the used sites");
 }
 
 /**
@@ -127,6 +177,7 @@ function initApp() {
     
     // Add dataset generation event listener
     document.getElementById('generate-dataset-btn')?.addEventListener('click', generateDataset);
+    document.getElementById('generate-sequence-btn')?.addEventListener('click', generateSequences);
     
     // Add directory selection button event listener if it exists
     document.getElementById('select-directory-btn')?.addEventListener('click', async () => {
@@ -141,41 +192,155 @@ function initApp() {
         }
     });
     
+    // Location source selection (optional file for the point list / polygon sources)
+    const locationSourceSelect = document.getElementById('location-source');
+    const locationFileInput = document.getElementById('location-file');
+    if (locationSourceSelect) {
+        locationSourceSelect.value = LOCATION_SOURCE.type;
+        const applyLocationSource = async () => {
+            const type = locationSourceSelect.value;
+            const file = locationFileInput?.files[0];
+            try {
+                showLoading('Loading location source...');
+                const source = await setLocationSource(type, type === 'buildings' ? undefined : file);
+                // Queued locations came from the previous source
+                locationQueue = [];
+                hideLoading();
+                showError(`Location source: ${source.description}`, 'success');
+            } catch (error) {
+                hideLoading();
+                showError('Could not load location source: ' + error.message);
+                locationSourceSelect.value = getLocationSource().type;
+            }
+        };
+        locationSourceSelect.addEventListener('change', applyLocationSource);
+        locationFileInput?.addEventListener('change', applyLocationSource);
+    }
+    
+    // Regenerate a pair from its recorded seed
+    document.getElementById('regenerate-seed-btn')?.addEventListener('click', () => {
+        const seedInput = document.getElementById('seed-input');
+        regeneratePairFromSeed(seedInput ? seedInput.value : null).catch(error => {
+            console.error("Error regenerating pair:", error);
+            showError(error.message);
+            hideLoading();
+        });
+    });
+    
     // Generate initial views after a short delay
-    setTimeout(generateNewViews, 1000);
+    // A ?seed=N URL parameter reproduces that pair instead of a random one
+    const urlParams = new URLSearchParams(window.location.search);
+    const urlSeed = urlParams.get('seed');
+    const urlBenchmark = urlParams.get('benchmark');
+    if (urlSeed !== null) {
+        setTimeout(() => {
+            regeneratePairFromSeed(urlSeed).catch(error => {
+                console.error("Error regenerating pair:", error);
+                showError(error.message);
+            });
+        }, 1000);
+    } else if (urlBenchmark !== null) {
+        // A ?benchmark=N URL parameter times both render paths on N pairs instead
+        setTimeout(() => {
+            benchmarkRenderPaths(parseInt(urlBenchmark) || RENDER_SETTINGS.benchmarkPairs).catch(error => {
+                console.error("Error benchmarking render paths:", error);
+                showError(error.message);
+                hideLoading();
+            });
+        }, 1000);
+    } else {
+        setTimeout(generateNewViews, 1000);
+    }
 }
 
 /**
- * Create Cesium viewers with appropriate settings and different imagery providers
- * using the CameraView class for better encapsulation
+ * Destroy the Cesium viewers of all views
+ * Views of the shared viewer are removed, but the shared viewer is kept unless released
+ * @param {Boolean} releaseRenderer - Also destroy the shared viewer (RENDER_SETTINGS.mode 'shared')
  */
-function createViewers() {
-    // Destroy existing viewers if they exist
-    if (viewer1) {
+function destroyViewers(releaseRenderer = false) {
+    viewers.forEach((viewer, index) => {
         try {
-            viewer1.destroy();
+            viewer.destroy();
         } catch (e) {
-            console.error("Error destroying viewer1:", e);
+            console.error(`Error destroying viewer${index + 1}:`, e);
         }
-        viewer1 = null;
+    });
+    viewers = [];
+    
+    if (releaseRenderer && sharedRenderer) {
+        sharedRenderer.destroy();
+        sharedRenderer = null;
+    }
+}
+
+/**
+ * Create Cesium viewers with appropriate settings and different imagery providers
+ * using the CameraView class for better encapsulation
+ * @param {Object} location - Pair location; its seed samples the randomised view settings and
+ *                            its position the time of day of augmented views (optional)
+ */
+function createViewers(location = null) {
+    // Destroy existing viewers if they exist
+    destroyViewers();
+    viewSettingsList = [];
+    const seed = location?.seed;
+    
+    const viewCount = MULTI_VIEW_SETTINGS.viewCount;
+    if (!(viewCount >= 2)) {
+        throw new Error(`MULTI_VIEW_SETTINGS.viewCount must be at least 2 (got ${viewCount})`);
     }
     
-    if (viewer2) {
-        try {
-            viewer2.destroy();
-        } catch (e) {
-            console.error("Error destroying viewer2:", e);
-        }
-        viewer2 = null;
+    const isShared = RENDER_SETTINGS.mode === 'shared';
+    if (!isShared && RENDER_SETTINGS.mode !== 'viewers') {
+        throw new Error(`Unknown render mode "${RENDER_SETTINGS.mode}" - expected 'viewers' or 'shared'`);
+    }
+    if (!isShared && sharedRenderer) {
+        destroyViewers(true);
+    }
+    if (isShared && !sharedRenderer) {
+        sharedRenderer = new SharedViewRenderer();
     }
     
-    // Create camera view instances for each view
-    const cameraView1 = new CameraView('view1', VIEW_SETTINGS.view1, VIEWER_SETTINGS1);
-    const cameraView2 = new CameraView('view2', VIEW_SETTINGS.view2, VIEWER_SETTINGS2);
+    // Imagery provider of every view, picked together so policies can pair different sources
+    const viewNames = Array.from({ length: viewCount }, (_, index) => `view${index + 1}`);
+    const imageryIds = chooseImageryProviders(viewNames, createSeededStream(seed, 'imagery'));
     
-    // Store the Cesium viewer instances for compatibility with existing code
-    viewer1 = cameraView1.viewer;
-    viewer2 = cameraView2.viewer;
+    // Create camera view instances for each view
+    for (let view = 1; view <= viewCount; view++) {
+        const elementId = `view${view}`;
+        
+        // Views after the two on screen render into off-screen containers of the same size
+        if (!document.getElementById(elementId)) {
+            const container = document.createElement('div');
+            container.id = elementId;
+            container.className = 'cesium-view offscreen-view';
+            document.querySelector('.view-container').appendChild(container);
+        }
+        
+        const resolvedSettings = view === 1 ?
+            VIEW_SETTINGS.view1 :
+            resolveViewSettings(VIEW_SETTINGS[elementId] || VIEW_SETTINGS.view2, createSeededStream(seed, elementId));
+        
+        // Lighting and weather preset, from a stream of its own so the other samples keep their values
+        const viewSettings = {
+            ...augmentViewSettings(resolvedSettings, elementId, createSeededStream(seed, `${elementId}Augmentation`), location),
+            imagery: imageryIds[view - 1],
+            cameraEffects: sampleCameraEffects(createSeededStream(seed, `${elementId}Camera`))
+        };
+        viewSettingsList.push(viewSettings);
+        
+        // The shared viewer renders every view in turn
+        if (isShared) {
+            viewers.push(sharedRenderer.addView(elementId, viewSettings));
+            continue;
+        }
+        
+        const cameraView = new CameraView(elementId, viewSettings, view === 1 ? VIEWER_SETTINGS1 : VIEWER_SETTINGS2);
+        
+        // Store the Cesium viewer instances for compatibility with existing code
+        viewers.push(cameraView.viewer);
+    }
     
     // Update view labels if needed
     const view1Label = document.getElementById('view1-label');
@@ -186,46 +351,79 @@ function createViewers() {
 
 /**
  * Generate new drone views with a virtual object in both views
+ * @param {Object} location - Optional location to use instead of the next queued one
  */
-async function generateNewViews() {
+async function generateNewViews(location = null) {
     try {
         // Clean up previous canvas if any
         cleanupCanvas();
         
         // Clear previous matching points
         matchingPoints = [];
+        currentSetup = null;
         
         // Show loading message
         showLoading('Generating drone views with virtual object...');
         
         // Get location from queue or generate a new one
-        currentLocation = await getNextLocation();
+        currentLocation = location || await getNextLocation();
         
         // Create fresh viewers
-        createViewers();
+        createViewers(currentLocation);
+        
+        // Render the same terrain the virtual object and cameras were placed on
+        const terrainProvider = await getTerrainProvider();
+        viewers.forEach(viewer => {
+            viewer.terrainProvider = terrainProvider;
+        });
         
         // Wait for initial scene load to ensure map data is available
         showLoading('Loading map data...');
-        const [view1Result, view2Result] = await Promise.all([
-            waitForSceneToLoad(viewer1),
-            waitForSceneToLoad(viewer2)
-        ]);
+        const loadResults = await waitForViewsToLoad(viewers);
         
         // Check if map data is available
-        if (!view1Result.loaded || !view2Result.loaded) {
+        if (!loadResults.every(loadResult => loadResult.loaded)) {
             throw new Error("Map data not available for this location. Please try again.");
         }
         
         // If retries were needed, log it
-        if (view1Result.retried > 0 || view2Result.retried > 0) {
-            console.log(`Initial scene load required retries (view1: ${view1Result.retried}, view2: ${view2Result.retried})`);
+        if (loadResults.some(loadResult => loadResult.retried > 0)) {
+            console.log(`Initial scene load required retries (${loadResults.map((loadResult, index) => `view${index + 1}: ${loadResult.retried}`).join(', ')})`);
         }
         
         // Generate scene with cameras and virtual object
         showLoading('Positioning cameras...');
-        const result = await setupCameraViews(viewer1, viewer2, currentLocation);
+        const result = await setupCameraViews(viewers, currentLocation);
+        
+        // Depth-based tests below need the final tiles in the depth buffer
+        showLoading('Checking point visibility...');
+        await waitForViewsToLoad(viewers);
+        
+        // Replace the virtual object points with keypoints on the rendered surface
+        if (KEYPOINT_SETTINGS.mode === 'surface') {
+            showLoading('Sampling surface keypoints...');
+            const keypoints = sampleSurfaceKeypoints(viewers,
+                createSeededStream(currentLocation.seed, 'keypoints'));
+            result.matchingPoints = keypoints.matchingPoints;
+            result.keypointStats = keypoints.stats;
+            result.stats.pointCount = keypoints.matchingPoints.length;
+        }
+        
+        // Points hidden behind terrain are not correct matches (no building models are rendered)
+        result.stats.occludedPoints = updateOcclusionFlags(viewers, result.matchingPoints).either;
+        const visiblePoints = result.matchingPoints.filter(point =>
+            point.viewPositions.every(Boolean) && point.isCorrect && !point.isForcedMatch).length;
+        result.stats.visiblePoints = visiblePoints;
+        result.isValid = visiblePoints >= MATCH_CRITERIA.minMatchPoints && result.placement.isValid;
+        
+        // Covisible area of the views, filtered against OVERLAP_SETTINGS.band by generateDataset
+        showLoading('Measuring view overlap...');
+        result.overlap = computeOverlap(viewers, currentLocation.height);
+        result.stats.overlap = result.overlap.value;
+        console.log(`View overlap: ${result.overlap.value?.toFixed(3)}`, result.overlap.pairs);
         
         // Store matching points (projections of the virtual object)
+        currentSetup = result;
         matchingPoints = result.matchingPoints;
         
         // Update stats and visualization
@@ -247,6 +445,26 @@ async function generateNewViews() {
     }
 }
 
+/**
+ * Regenerate a pair from its seed (as recorded in metadata.json)
+ * The location search, camera placement, view offsets and view settings are all
+ * drawn from the seed, so the pair is reproduced exactly up to tile streaming
+ * @param {String|Number} seedValue - The pair seed
+ * @returns {Promise} - Promise resolving when the views are generated
+ */
+async function regeneratePairFromSeed(seedValue) {
+    const seed = parseSeed(seedValue);
+    if (seed === null) {
+        throw new Error(`Invalid seed "${seedValue}" - expected an unsigned 32-bit integer`);
+    }
+    
+    cleanupCanvas();
+    showLoading(`Regenerating pair from seed ${seed}...`);
+    
+    const location = await generateRandomLocation(seed);
+    await generateNewViews(location);
+}
+
 /**
  * Retry generation with the same location
  */
@@ -255,17 +473,62 @@ function retryGeneration() {
     generateNewViews();
 }
 
+/**
+ * Pass the current clean renders through the camera effects of their views
+ * The renders are copied before this returns, so the views can be rendered again while it runs
+ * @returns {Promise<Object|null>} - { images, parameters } per view (null for views without
+ *                                   effects), or null if no view has camera effects
+ */
+function applyViewCameraEffects() {
+    const parameters = viewSettingsList.map(settings => settings.cameraEffects || null);
+    if (!parameters.some(Boolean)) return Promise.resolve(null);
+    
+    const images = viewers.map((viewer, index) => {
+        if (!parameters[index]) return null;
+        
+        const intrinsics = computeIntrinsics(viewer.camera, viewer.canvas.width, viewer.canvas.height);
+        return applyCameraEffects(viewer.canvas, parameters[index], intrinsics,
+            createSeededStream(currentLocation.seed, `view${index + 1}Noise`))
+            .then(canvas => encodeCanvasImage(canvas));
+    });
+    
+    return Promise.all(images).then(encoded => ({ images: encoded, parameters }));
+}
+
+/**
+ * Collect the per-pair information passed to the exporter
+ * @returns {Object} - Pair info for exportDataset
+ */
+function getPairInfo() {
+    return {
+        seed: currentLocation.seed,
+        enuOrigin: currentSetup?.virtualObject,
+        locationSource: {
+            type: currentLocation.source,
+            region: currentLocation.region
+        },
+        osm: currentLocation.osm,
+        split: currentLocation.split,
+        placement: currentSetup?.placement,
+        overlap: currentSetup?.overlap,
+        keypointStats: currentSetup?.keypointStats,
+        appearances: viewSettingsList.map(describeAppearance),
+        imagery: viewSettingsList.map((settings, index) => describeImagery(settings.imagery, `view${index + 1}`))
+    };
+}
+
 /**
  * Handle export button click
  */
 function handleExport() {
-    if (!viewer1 || !viewer2 || !matchingPoints.length) {
+    if (viewers.length === 0 || !matchingPoints.length) {
         showError("No data to export");
         return;
     }
     
     // Export dataset
-    exportDataset(viewer1, viewer2, matchingPoints, currentLocation.name)
+    exportDataset(viewers, matchingPoints, currentLocation.name, false,
+        null, null, null, getPairInfo())
         .then(() => {
             // Provide visual feedback
             const exportBtn = document.getElementById('export-btn');
@@ -309,9 +572,9 @@ function updateStats(stats) {
     // Update altitudes
     const altitudeEl = document.getElementById('drone-altitude');
     if (altitudeEl) {
-        const alt1 = typeof stats.altitude1 === 'number' ? stats.altitude1 : '?';
-        const alt2 = typeof stats.altitude2 === 'number' ? stats.altitude2 : '?';
-        altitudeEl.textContent = `${alt1}/${alt2}`;
+        altitudeEl.textContent = (stats.altitudes || [])
+            .map(altitude => typeof altitude === 'number' ? altitude : '?')
+            .join('/');
     }
     
     // Update distance
@@ -333,10 +596,39 @@ function updateStats(stats) {
             <div>View 1 Position: ${finalView1Pos}</div>
             <div>View 2 Position: ${finalView2Pos}</div>
             <div>Angle Difference: ${stats.headingDiff || '?'}°</div>
+            <div>Overlap: ${typeof stats.overlap === 'number' ? `${Math.round(stats.overlap * 100)}%` : '?'}</div>
+            <div>Seed: ${stats.seed ?? 'Unknown'}</div>
         `;
     }
 }
 
+/**
+ * Merge a run state file of the output directory into the state of this process, then rewrite it
+ * Several processes (e.g. playwright-dataset-gen.js instances) can write into the same directory,
+ * so the file is re-read right before every write instead of being overwritten with local state
+ * @param {String} filename - State file in the root of the output directory
+ * @param {Function} merge - Merges the saved state (null if the file does not exist) into the local one
+ * @param {Function} getState - Returns the merged state to write (optional, only merge without it)
+ * @returns {Promise<Boolean>} - False if the file could not be read (nothing is merged or written,
+ *                               so the local changes are kept for the next merge)
+ */
+async function syncRunState(filename, merge, getState = null) {
+    let saved;
+    try {
+        saved = await readDirectoryJson(filename);
+    } catch (error) {
+        // Also happens while another process is writing the file
+        console.warn(`Could not read ${filename}, keeping the local state for the next write:`, error);
+        return false;
+    }
+    
+    merge(saved);
+    if (getState) {
+        await writeDirectoryJson(filename, getState());
+    }
+    return true;
+}
+
 /**
  * Generate a dataset with multiple view pairs
  */
@@ -349,6 +641,12 @@ async function generateDataset() {
             return;
         }
         
+        // Browsers save unsupported types as PNG, which would not match the file extension
+        if (!isImageFormatSupported()) {
+            showError(`This browser cannot save ${IMAGE_FORMAT.type} images - change IMAGE_FORMAT.type`);
+            return;
+        }
+        
         // Request directory access permission before starting
         showLoading('Requesting directory access...');
         const hasAccess = await ensureDirectoryAccess();
@@ -361,6 +659,41 @@ async function generateDataset() {
         // Clear any previous collection
         clearDatasetCollection();
         
+        // Region quotas count across runs into the same directory (resume an interrupted run)
+        let quotaState = null;
+        try {
+            quotaState = await readDirectoryJson(REGION_SAMPLING.stateFile);
+        } catch (error) {
+            console.warn(`Could not read ${REGION_SAMPLING.stateFile}, starting with empty region counts:`, error);
+        }
+        startQuotaRun(quotaState);
+        
+        // Targets of the pairs already in the directory are kept apart from the new ones
+        let separationState = null;
+        try {
+            separationState = await readDirectoryJson(LOCATION_SEPARATION.stateFile);
+        } catch (error) {
+            console.warn(`Could not read ${LOCATION_SEPARATION.stateFile}, starting without used locations:`, error);
+        }
+        startSeparationRun(separationState);
+        
+        // Append to the split manifests of earlier runs into the same directory
+        const existingManifests = {};
+        if (SPLIT_SETTINGS.enabled) {
+            for (const name of Object.keys(SPLIT_SETTINGS.ratios)) {
+                try {
+                    const text = await readDirectoryText(getManifestFilename(name), SPLIT_SETTINGS.manifestFolder);
+                    existingManifests[name] = parseManifest(text);
+                } catch (error) {
+                    console.warn(`Could not read the ${name} split manifest, starting a new one:`, error);
+                }
+            }
+        }
+        startSplitManifests(existingManifests);
+        
+        // Only the 'buildings' source draws from GLOBAL_REGIONS; other sources only have the listed quotas
+        const quotaRegions = getLocationSource().type === 'buildings' ? GLOBAL_REGIONS : [];
+        
         // Show progress
         const progressElement = document.getElementById('dataset-progress');
         const progressCountElement = document.getElementById('dataset-progress-count');
@@ -380,6 +713,19 @@ async function generateDataset() {
         let lastPairTime = startTime;
         let avgPairTime = 0;
         
+        // Rejected pairs per reason; too many in a row means the settings cannot be met
+        const rejections = {};
+        let consecutiveRejections = 0;
+        let acceptedCount = 0;
+        const rejectPair = (reason, detail) => {
+            rejections[reason] = (rejections[reason] || 0) + 1;
+            consecutiveRejections++;
+            console.warn(`Rejecting pair (${detail}). Generating a new scene...`);
+            if (consecutiveRejections >= MAX_PAIR_REJECTIONS) {
+                throw new Error(`${consecutiveRejections} pairs in a row were rejected (last: ${detail}) - check OVERLAP_SETTINGS.band, DRONE_PARAMS, MATCH_CRITERIA and the map data of the location source`);
+            }
+        };
+        
         // Add ETA element next to progress
         const etaElement = document.createElement('span');
         etaElement.id = 'eta-display';
@@ -392,17 +738,16 @@ async function generateDataset() {
             // Update progress
             progressCountElement.textContent = i;
             
+            // Stop early once every region that can still be drawn is full
+            if (areAllQuotasMet(quotaRegions)) {
+                console.log(`All region quotas met after ${i} pairs - stopping`);
+                break;
+            }
+            
             // Reset Cesium viewers periodically to prevent memory issues
             if (i > 0 && i % 50 === 0) {
-                // Destroy and recreate viewers
-                if (viewer1) {
-                    viewer1.destroy();
-                    viewer1 = null;
-                }
-                if (viewer2) {
-                    viewer2.destroy();
-                    viewer2 = null;
-                }
+                // Destroy and recreate viewers (including the shared viewer)
+                destroyViewers(true);
                 
                 // Clean up visualization canvas
                 cleanupCanvas();
@@ -414,24 +759,57 @@ async function generateDataset() {
                 await new Promise(resolve => setTimeout(resolve, 100));
                 
                 // Recreate viewers
-                createViewers();
+                createViewers(currentLocation);
             }
             
             // First generate the next view location - this gives time for rendering
             await generateNewViews();
             
+            // Only accept pairs whose realised cameras honour DRONE_PARAMS
+            if (!currentSetup || !currentSetup.placement.isValid) {
+                const reason = currentSetup ?
+                    currentSetup.placement.violations.map(violation => violation.name).join(', ') :
+                    'scene setup failed';
+                rejectPair(currentSetup ? 'placement' : 'setup', `pair ${i+1}/${count}: ${reason}`);
+                i--;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+            
+            // Only accept pairs with enough matches that are in view and not occluded in every view
+            if (!currentSetup.isValid) {
+                rejectPair('matches', `pair ${i+1}/${count}: ${currentSetup.stats.visiblePoints} visible matches, ${MATCH_CRITERIA.minMatchPoints} required`);
+                i--;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+            
+            // Only accept pairs whose covisible area is inside the targeted overlap band
+            if (!isOverlapInBand(currentSetup.overlap.value)) {
+                rejectPair('overlap', `pair ${i+1}/${count}: overlap ${currentSetup.overlap.value?.toFixed(3)} outside [${OVERLAP_SETTINGS.band.join(', ')}]`);
+                i--;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+            
+            // Other processes writing into the directory may have filled the region in the meantime
+            await syncRunState(REGION_SAMPLING.stateFile, mergeQuotaState);
+            if (isRegionFull(currentLocation.region)) {
+                rejectPair('regionQuota', `pair ${i+1}/${count}: region quota of ${currentLocation.region} reached by another process`);
+                i--;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+            
             // Wait for both scenes to be fully loaded and rendered before capturing
             showLoading('Waiting for scene load...');
             
-            // Create a promise that resolves when both viewers are ready
-            const [view1Result, view2Result] = await Promise.all([
-                waitForSceneToLoad(viewer1),
-                waitForSceneToLoad(viewer2)
-            ]);
+            // Create a promise that resolves when all viewers are ready
+            const loadResults = await waitForViewsToLoad(viewers);
             
-            // Check if either scene failed to load properly
-            if (!view1Result.loaded || !view2Result.loaded) {
-                console.warn(`Map data not fully available for pair ${i+1}/${count} after retries. Skipping...`);
+            // Check if any scene failed to load properly
+            if (!loadResults.every(loadResult => loadResult.loaded)) {
+                rejectPair('mapData', `pair ${i+1}/${count}: map data not fully available after retries`);
                 showError('Skipping pair due to unavailable map data', 'warning');
                 
                 // Decrement counter to retry with a new scene
@@ -445,46 +823,38 @@ async function generateDataset() {
             }
             
             // If we had to retry but succeeded, log it
-            if (view1Result.retried > 0 || view2Result.retried > 0) {
-                console.log(`Successfully loaded pair ${i+1} after retries (view1: ${view1Result.retried}, view2: ${view2Result.retried})`);
+            if (loadResults.some(loadResult => loadResult.retried > 0)) {
+                console.log(`Successfully loaded pair ${i+1} after retries (${loadResults.map((loadResult, index) => `view${index + 1}: ${loadResult.retried}`).join(', ')})`);
             }
             
             // Set balanced quality settings for faster rendering
-            viewer1.scene.globe.maximumScreenSpaceError = 2.0;
-            viewer2.scene.globe.maximumScreenSpaceError = 2.0;
-            viewer1.scene.globe.preloadSiblings = false;
-            viewer2.scene.globe.preloadSiblings = false;
+            viewers.forEach(viewer => {
+                viewer.scene.globe.maximumScreenSpaceError = 2.0;
+                viewer.scene.globe.preloadSiblings = false;
+            });
             
             // Force single render pass
-            viewer1.scene.render();
-            viewer2.scene.render();
+            viewers.forEach(viewer => viewer.scene.render());
             
             // Capture screenshots
             showLoading('Capturing screenshots...');
             
             // First, completely hide all entities for clean screenshots
-            const entities1 = viewer1.entities.values.slice();
-            const entities2 = viewer2.entities.values.slice();
+            const entities = viewers.map(viewer => viewer.entities.values.slice());
             
             // Hide all entities
-            for (const entity of entities1) {
-                entity.show = false;
-            }
-            for (const entity of entities2) {
+            for (const entity of entities.flat()) {
                 entity.show = false;
             }
             
             // Also hide any primitives that might be visible
-            const primitiveCollections1 = viewer1.scene.primitives._primitives;
-            const primitiveCollections2 = viewer2.scene.primitives._primitives;
+            const primitiveCollections = viewers.map(viewer => viewer.scene.primitives._primitives);
             
             // Save original visibility state
-            const originalPrimitiveVisibility1 = primitiveCollections1.map(p => p.show);
-            const originalPrimitiveVisibility2 = primitiveCollections2.map(p => p.show);
+            const originalPrimitiveVisibility = primitiveCollections.map(primitives => primitives.map(p => p.show));
             
             // Hide all primitive collections except essential ones (like terrain)
-            for (let i = 0; i < primitiveCollections1.length; i++) {
-                const p = primitiveCollections1[i];
+            for (const p of primitiveCollections.flat()) {
                 // Only hide visualization primitives, keep terrain and imagery
                 if (!(p instanceof Cesium.Globe) && 
                     !(p instanceof Cesium.SkyBox) && 
@@ -493,43 +863,34 @@ async function generateDataset() {
                 }
             }
             
-            for (let i = 0; i < primitiveCollections2.length; i++) {
-                const p = primitiveCollections2[i];
-                if (!(p instanceof Cesium.Globe) && 
-                    !(p instanceof Cesium.SkyBox) && 
-                    !(p instanceof Cesium.SkyAtmosphere)) {
-                    p.show = false;
-                }
-            }
-            
             // Force multiple renders to ensure everything is hidden
-            viewer1.scene.render();
-            viewer2.scene.render();
+            viewers.forEach(viewer => viewer.scene.render());
             
             // Additional render cycle to be absolutely sure
-            viewer1.scene.render();
-            viewer2.scene.render();
+            viewers.forEach(viewer => viewer.scene.render());
             
             // Capture clean screenshots
-            const cleanView1Image = viewer1.canvas.toDataURL('image/jpeg', 0.95);
-            const cleanView2Image = viewer2.canvas.toDataURL('image/jpeg', 0.95);
+            const cleanImages = viewers.map(viewer => encodeCanvasImage(viewer.canvas));
+            
+            // Lens and sensor simulation, started while the clean renders are on the canvases
+            const cameraEffectImages = applyViewCameraEffects();
             
             // Check if the left view (view1) is blurry before proceeding
             showLoading('Checking image quality...');
-            const isQualityGood = await detectBlurryImage(cleanView1Image);
+            const isQualityGood = await detectBlurryImage(cleanImages[0]);
             
             if (!isQualityGood) {
-                console.warn(`Detected blurry left image in pair ${i+1}/${count}. Skipping and generating a new scene...`);
                 // Show message to user
                 showError('Skipping blurry image (approx. 3% chance)', 'warning');
                 
+                // Release memory for discarded images
+                entities.flat().forEach(entity => entity.show = true);
+                cameraEffectImages.catch(() => {});
+                rejectPair('blurry', `pair ${i+1}/${count}: blurry left image`);
+                
                 // Decrement counter to retry with a new scene
                 i--;
                 
-                // Release memory for discarded images
-                entities1.forEach(entity => entity.show = true);
-                entities2.forEach(entity => entity.show = true);
-                
                 // Allow some time for garbage collection
                 await new Promise(resolve => setTimeout(resolve, 100));
                 
@@ -537,54 +898,90 @@ async function generateDataset() {
                 continue;
             }
             
-            // Restore original visibility for entities
-            for (const entity of entities1) {
-                entity.show = true;
+            // Save the images through the camera effects (the blur check above uses the ideal render)
+            const cameraEffects = await cameraEffectImages;
+            if (cameraEffects) {
+                cameraEffects.images.forEach((image, index) => {
+                    if (image) cleanImages[index] = image;
+                });
             }
-            for (const entity of entities2) {
-                entity.show = true;
+            
+            // Read back depth maps while the entities are still hidden
+            // (dense correspondence is computed from the depth of view1 and view2)
+            let depthMaps = null;
+            if (DEPTH_SETTINGS.enabled || FLOW_SETTINGS.enabled) {
+                showLoading('Capturing depth maps...');
+                depthMaps = {};
+                viewers.forEach((viewer, index) => {
+                    depthMaps[`view${index + 1}`] = captureDepthMap(viewer);
+                });
             }
             
-            // Restore primitive collections visibility
-            for (let i = 0; i < primitiveCollections1.length; i++) {
-                if (i < originalPrimitiveVisibility1.length) {
-                    primitiveCollections1[i].show = originalPrimitiveVisibility1[i];
-                }
+            // Restore original visibility for entities
+            for (const entity of entities.flat()) {
+                entity.show = true;
             }
             
-            for (let i = 0; i < primitiveCollections2.length; i++) {
-                if (i < originalPrimitiveVisibility2.length) {
-                    primitiveCollections2[i].show = originalPrimitiveVisibility2[i];
+            // Restore primitive collections visibility
+            primitiveCollections.forEach((primitives, view) => {
+                for (let i = 0; i < primitives.length; i++) {
+                    if (i < originalPrimitiveVisibility[view].length) {
+                        primitives[i].show = originalPrimitiveVisibility[view][i];
+                    }
                 }
-            }
+            });
             
             // Force multiple renders to ensure everything is visible again
-            viewer1.scene.render();
-            viewer2.scene.render();
+            viewers.forEach(viewer => viewer.scene.render());
             
             // Additional render cycle to be absolutely sure
-            viewer1.scene.render();
-            viewer2.scene.render();
+            viewers.forEach(viewer => viewer.scene.render());
             
             // Capture debug views
-            const debugView1 = viewer1.canvas.toDataURL('image/jpeg', 0.95);
-            const debugView2 = viewer2.canvas.toDataURL('image/jpeg', 0.95);
+            const debugImages = viewers.map(viewer => encodeCanvasImage(viewer.canvas));
+            
+            // Other processes may have used a nearby target since this location was drawn
+            await syncRunState(LOCATION_SEPARATION.stateFile, mergeSeparationState);
+            const nearby = findNearbyUsedLocation(currentLocation.lat, currentLocation.lon);
+            if (nearby) {
+                rejectPair('separation', `pair ${i+1}/${count}: within ${nearby.distance.toFixed(0)}m of the target of seed ${nearby.location.seed}, used by another process`);
+                i--;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+            
+            // Claim the target right away so other processes keep their distance while this pair is saved
+            // (it stays used if saving fails)
+            recordUsedLocation(currentLocation);
+            await syncRunState(LOCATION_SEPARATION.stateFile, mergeSeparationState, getSeparationState);
             
             // Save the current pair directly to the selected directory
             showLoading(`Saving pair ${i+1}/${count} to disk...`);
             try {
-                await exportDataset(
-                    viewer1, 
-                    viewer2, 
+                const saved = await exportDataset(
+                    viewers, 
                     matchingPoints, 
                     currentLocation.name, 
                     false, // Not adding to collection anymore
-                    cleanView1Image,
-                    cleanView2Image,
-                    debugView1,
-                    debugView2,
-                    i // Pass the index for folder naming
+                    cleanImages,
+                    debugImages,
+                    i, // Pass the index for folder naming
+                    { ...getPairInfo(), depthMaps, cameraEffects: cameraEffects?.parameters }
                 );
+                acceptedCount++;
+                consecutiveRejections = 0;
+                
+                // Count the saved pair towards its region quota and persist the counts of every process
+                recordRegionPair(currentLocation.region);
+                await syncRunState(REGION_SAMPLING.stateFile, mergeQuotaState, getQuotaState);
+                
+                // List the pair in the manifest of its split, keeping the pairs other processes listed
+                const manifestFile = recordSplitPair(currentLocation.split, saved?.path);
+                if (manifestFile) {
+                    const savedManifest = await readDirectoryText(manifestFile, SPLIT_SETTINGS.manifestFolder);
+                    mergeManifest(currentLocation.split.name, parseManifest(savedManifest));
+                    await writeDirectoryText(manifestFile, getManifestText(currentLocation.split.name), SPLIT_SETTINGS.manifestFolder);
+                }
             } catch (error) {
                 console.error("Error saving pair:", error);
                 showError(`Error saving pair ${i+1}: ${error.message}`);
@@ -622,6 +1019,28 @@ async function generateDataset() {
         
         // All done - no need to export the collection, as we've saved each pair individually
         
+        // Report how many generated pairs were rejected, and why
+        const rejectedCount = Object.values(rejections).reduce((sum, value) => sum + value, 0);
+        if (rejectedCount > 0) {
+            const generatedCount = rejectedCount + acceptedCount;
+            console.log(`Rejected ${rejectedCount} of ${generatedCount} generated pairs (${(rejectedCount / generatedCount * 100).toFixed(1)}%):`, rejections);
+        }
+        
+        // Report the geographic distribution of the dataset, including the pairs of other processes
+        await syncRunState(REGION_SAMPLING.stateFile, mergeQuotaState);
+        const regionReport = getRegionReport();
+        console.log("Pairs per region:");
+        console.table(regionReport.map(entry => ({
+            region: entry.region,
+            pairs: entry.count,
+            quota: entry.quota ?? '-',
+            share: `${(entry.share * 100).toFixed(1)}%`
+        })));
+        showError(`Pairs per region: ${regionReport.map(entry => `${entry.region} ${entry.count}${entry.quota !== null ? '/' + entry.quota : ''}`).join(', ')}`, 'success');
+        endQuotaRun();
+        endSeparationRun();
+        endSplitManifests();
+        
         // Reset UI
         progressElement.style.display = 'none';
         generateButton.disabled = false;
@@ -635,6 +1054,9 @@ async function generateDataset() {
     } catch (error) {
         showError("Dataset generation error: " + error.message);
         console.error("Dataset generation error:", error);
+        endQuotaRun();
+        endSeparationRun();
+        endSplitManifests();
         
         // Reset UI on error
         document.getElementById('dataset-progress').style.display = 'none';
@@ -643,6 +1065,251 @@ async function generateDataset() {
     }
 }
 
+/**
+ * Generate sequences: one drone flying SEQUENCE_SETTINGS.path around each target
+ * Every sequence is saved to sequence_N/ with one image per frame and a trajectory.json
+ * holding the frame poses and the observations of the shared keypoints
+ */
+async function generateSequences() {
+    const generateButton = document.getElementById('generate-sequence-btn');
+    const progressElement = document.getElementById('dataset-progress');
+    const progressCountElement = document.getElementById('dataset-progress-count');
+    const progressTotalElement = document.getElementById('dataset-progress-total');
+    
+    try {
+        // The pair count input doubles as the sequence count
+        const count = parseInt(document.getElementById('dataset-count').value, 10);
+        if (isNaN(count) || count < 1) {
+            showError("Please enter a valid number of sequences (minimum 1)");
+            return;
+        }
+        
+        if (!isImageFormatSupported()) {
+            showError(`This browser cannot save ${IMAGE_FORMAT.type} images - change IMAGE_FORMAT.type`);
+            return;
+        }
+        
+        showLoading('Requesting directory access...');
+        const hasAccess = await ensureDirectoryAccess();
+        if (!hasAccess) {
+            showError("Directory access is required to save sequences. Please grant permission.");
+            hideLoading();
+            return;
+        }
+        
+        progressElement.style.display = 'inline-block';
+        progressTotalElement.textContent = count;
+        progressCountElement.textContent = '0';
+        if (generateButton) {
+            generateButton.disabled = true;
+            generateButton.textContent = 'Generating...';
+        }
+        
+        for (let i = 0; i < count; i++) {
+            progressCountElement.textContent = i;
+            cleanupCanvas();
+            matchingPoints = [];
+            currentSetup = null;
+            
+            try {
+                showLoading(`Planning sequence ${i+1}/${count}...`);
+                currentLocation = await getNextLocation();
+                createViewers(currentLocation);
+                
+                // The drone flies with the view1 viewer
+                const viewer = viewers[0];
+                viewer.terrainProvider = await getTerrainProvider();
+                
+                // The virtual object gives the look-at target and the keypoints of 'virtualObject' mode
+                const pointLayout = getVirtualObjectLayout(currentLocation);
+                const groundHeights = await sampleGroundHeights(pointLayout);
+                const objectPoints = pointLayout.map((point, index) => Cesium.Cartesian3.fromDegrees(
+                    point.lon, point.lat, groundHeights[index].height + point.aboveGround));
+                const target = objectPoints[0];
+                const origin = Cesium.Cartesian3.fromDegrees(currentLocation.lon, currentLocation.lat, groundHeights[0].height);
+                
+                const trajectory = generateTrajectory(createSeededStream(currentLocation.seed, 'trajectory'));
+                const poses = trajectoryToPoses(trajectory, origin, target, SEQUENCE_SETTINGS.frameInterval);
+                const sequenceFolder = `sequence_${i+1}`;
+                console.log(`Sequence ${i+1}: ${trajectory.path} with ${poses.length} frames`, trajectory.parameters);
+                
+                let keypoints = KEYPOINT_SETTINGS.mode === 'surface' ? null : objectPoints.map((point3D, index) => ({
+                    id: index,
+                    pointType: pointLayout[index].type,
+                    point3D
+                }));
+                
+                const frames = [];
+                for (const pose of poses) {
+                    showLoading(`Sequence ${i+1}/${count}: frame ${pose.index + 1}/${poses.length}...`);
+                    viewer.camera.frustum.fov = trajectory.fov;
+                    viewer.camera.setView({
+                        destination: pose.position,
+                        orientation: pose.orientation
+                    });
+                    
+                    const loadResult = await waitForSceneToLoad(viewer);
+                    if (!loadResult.loaded) {
+                        throw new Error(`Map data not available for frame ${pose.index}`);
+                    }
+                    viewer.scene.render();
+                    
+                    // Surface keypoints are picked in the first frame and tracked through the others
+                    if (!keypoints) {
+                        keypoints = pickSurfacePoints(viewer, createSeededStream(currentLocation.seed, 'keypoints'))
+                            .map((point3D, index) => ({ id: index, pointType: 'surface', point3D }));
+                    }
+                    
+                    const image = encodeCanvasImage(viewer.canvas);
+                    const observations = observeKeypoints(viewer, keypoints);
+                    frames.push(await exportSequenceFrame(viewer, sequenceFolder, pose, image, target, observations));
+                }
+                
+                await exportSequenceTrajectory(sequenceFolder, {
+                    index: i + 1,
+                    location: currentLocation,
+                    trajectory,
+                    target,
+                    keypoints,
+                    frames,
+                    appearance: describeAppearance(viewSettingsList[0]),
+                    imagery: describeImagery(viewSettingsList[0].imagery, 'view1')
+                });
+                console.log(`Saved ${sequenceFolder} (${frames.length} frames, ${keypoints.length} keypoints)`);
+            } catch (error) {
+                console.warn(`Sequence ${i+1}/${count} failed (${error.message}). Generating a new one...`);
+                showError(`Skipping sequence: ${error.message}`, 'warning');
+                i--;
+                await new Promise(resolve => setTimeout(resolve, 200));
+                continue;
+            }
+            
+            if (locationQueue.length < 5 && i < count - 1) {
+                startBackgroundLocationPreloading(20);
+            }
+        }
+        
+        hideLoading();
+        showError(`Saved ${count} sequences`, 'success');
+    } catch (error) {
+        showError("Sequence generation error: " + error.message);
+        console.error("Sequence generation error:", error);
+        hideLoading();
+    }
+    
+    // Reset UI
+    progressElement.style.display = 'none';
+    if (generateButton) {
+        generateButton.disabled = false;
+        generateButton.textContent = 'Generate Sequences';
+    }
+}
+
+/**
+ * Time the per-view viewers against the shared viewer (RENDER_SETTINGS.mode)
+ * Both paths generate and capture the same pairs; the results are logged as a table
+ * @param {Number} pairCount - Pairs per render path (default: RENDER_SETTINGS.benchmarkPairs)
+ * @returns {Promise<Array<Object>>} - Per path { mode, pairs, failed, setupMs, captureMs, totalMs, webglContexts, jsHeapPeakMB }
+ */
+async function benchmarkRenderPaths(pairCount = RENDER_SETTINGS.benchmarkPairs) {
+    const originalMode = RENDER_SETTINGS.mode;
+    
+    // Draw the locations once so both paths render the same scenes
+    showLoading('Preparing benchmark locations...');
+    const locations = [];
+    for (let seed = 1; locations.length < pairCount && seed <= pairCount * 5; seed++) {
+        try {
+            locations.push(await generateRandomLocation(seed));
+        } catch (error) {
+            console.warn(`Benchmark: no location for seed ${seed} (${error.message})`);
+        }
+    }
+    
+    const results = [];
+    try {
+        for (const mode of ['viewers', 'shared']) {
+            RENDER_SETTINGS.mode = mode;
+            destroyViewers(true);
+            
+            // Allow time for garbage collection between the paths
+            await new Promise(resolve => setTimeout(resolve, 500));
+            
+            const timings = [];
+            let failed = 0;
+            // JS heap only (Chrome only) - GPU textures and buffers are not included
+            let jsHeapPeak = null;
+            const sampleHeap = () => {
+                if (performance.memory) jsHeapPeak = Math.max(jsHeapPeak || 0, performance.memory.usedJSHeapSize);
+            };
+            for (const location of locations) {
+                const setupStart = performance.now();
+                await generateNewViews(location);
+                const setupTime = performance.now() - setupStart;
+                sampleHeap();
+                
+                if (!currentSetup) {
+                    failed++;
+                    continue;
+                }
+                
+                // Capture clean images the way generateDataset does
+                const captureStart = performance.now();
+                viewers.forEach(viewer => {
+                    viewer.entities.show = false;
+                });
+                viewers.forEach(viewer => viewer.scene.render());
+                viewers.map(viewer => encodeCanvasImage(viewer.canvas));
+                viewers.forEach(viewer => {
+                    viewer.entities.show = true;
+                });
+                const captureTime = performance.now() - captureStart;
+                sampleHeap();
+                
+                timings.push({ setupTime, captureTime });
+            }
+            
+            const mean = key => timings.length > 0 ?
+                Math.round(timings.reduce((sum, timing) => sum + timing[key], 0) / timings.length) : null;
+            results.push({
+                mode,
+                pairs: timings.length,
+                failed,
+                setupMs: mean('setupTime'),
+                captureMs: mean('captureTime'),
+                totalMs: timings.length > 0 ? mean('setupTime') + mean('captureTime') : null,
+                webglContexts: mode === 'shared' ? 1 : MULTI_VIEW_SETTINGS.viewCount,
+                jsHeapPeakMB: jsHeapPeak !== null ? Math.round(jsHeapPeak / 1048576) : null
+            });
+        }
+    } finally {
+        RENDER_SETTINGS.mode = originalMode;
+    }
+    
+    console.log(`Render path benchmark (${locations.length} pairs, ${MULTI_VIEW_SETTINGS.viewCount} views per pair):`);
+    console.table(results);
+    
+    const [perView, shared] = results;
+    if (perView.totalMs && shared.totalMs) {
+        showError(`Shared viewer: ${shared.totalMs}ms per pair vs ${perView.totalMs}ms with one viewer per view`, 'success');
+    }
+    
+    return results;
+}
+
+/**
+ * Wait for the scenes of all views to load, one view after the other
+ * The views of the shared viewer take turns on one scene, so they cannot be waited for together
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers (or views of the shared viewer)
+ * @returns {Promise<Array<Object>>} - waitForSceneToLoad result per view
+ */
+async function waitForViewsToLoad(viewers) {
+    const loadResults = [];
+    for (const viewer of viewers) {
+        loadResults.push(await waitForSceneToLoad(viewer));
+    }
+    return loadResults;
+}
+
 /**
  * Wait for a Cesium scene to be fully loaded using proper event-based detection
  * @param {Cesium.Viewer} viewer - The Cesium viewer to check
@@ -787,12 +1454,27 @@ export {
     generateNewViews, 
     handleExport, 
     generateDataset,
+    generateSequences,
+    regeneratePairFromSeed,
+    benchmarkRenderPaths,
     startBackgroundLocationPreloading
 };
 
-// Initialize the application when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize the application when the DOM is ready and the libraries are loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    // The buttons only work once the app is initialized (the Playwright runner waits for them to be enabled)
+    const buttons = [...document.querySelectorAll('.controls button')];
+    buttons.forEach(button => {
+        button.disabled = true;
+    });
+    
     try {
+        showLoading('Loading libraries...');
+        await loadLibraries();
+        hideLoading();
+        buttons.forEach(button => {
+            button.disabled = false;
+        });
         initApp();
     } catch (error) {
         console.error("Error initializing app:", error);
@@ -0,0 +1,256 @@
+/**
+ * Per-pair lighting and weather augmentation
+ *
+ * A view with a preset (AUGMENTATION_SETTINGS.views) is rendered at its own time of day, with
+ * its own sun light, shadows, haze, fog and imagery colour adjustments. The values are sampled
+ * from the view's '<view>Augmentation' stream of the pair seed and folded into the view settings:
+ * fog and imagery adjustments replace those of VIEW_SETTINGS, the rest goes into the view's
+ * `environment`, applied to the viewer by applyEnvironment
+ */
+
+import { AUGMENTATION_SETTINGS } from './config.js';
+import { randomInRange } from './random.js';
+
+// Atmosphere Mie scattering of a clear sky (Cesium default), scaled by the sampled haze
+const CLEAR_MIE_COEFFICIENT = 21e-6;
+
+/**
+ * Get the preset of a view
+ * @param {String} viewName - View name (view1, view2, ...)
+ * @param {Function} random - Random function, used for 'random'
+ * @returns {String|null} - Preset name, or null if the view is not augmented
+ */
+function choosePreset(viewName, random) {
+    const views = AUGMENTATION_SETTINGS.views;
+    const choice = viewName in views ? views[viewName] : views.view2;
+    if (!choice) return null;
+
+    const presetName = choice === 'random' ?
+        AUGMENTATION_SETTINGS.randomPresets[Math.floor(random() * AUGMENTATION_SETTINGS.randomPresets.length)] :
+        choice;
+    if (!AUGMENTATION_SETTINGS.presets[presetName]) {
+        throw new Error(`Unknown augmentation preset "${presetName}" - expected ${Object.keys(AUGMENTATION_SETTINGS.presets).join(', ')}, 'random' or null`);
+    }
+    return presetName;
+}
+
+/**
+ * Replace every [min, max] range of a settings section by a uniform sample
+ * @param {Object} section - Settings section (e.g. preset.fog)
+ * @param {Function} random - Random function
+ * @returns {Object} - Section with concrete values only
+ */
+function sampleSection(section, random) {
+    const sampled = {};
+    Object.entries(section || {}).forEach(([key, value]) => {
+        sampled[key] = Array.isArray(value) ? randomInRange(random, value) : value;
+    });
+    return sampled;
+}
+
+/**
+ * Direction of the sun at a time, in the Earth-fixed frame
+ * Uses the TEME rotation rather than the ICRF one of Cesium's own sun light: the ICRF rotation is
+ * undefined until its data has been downloaded, which would make the result depend on timing
+ * (the two differ by a fraction of a degree)
+ * @param {Cesium.JulianDate} time - Time
+ * @returns {Cesium.Cartesian3} - Unit vector from the Earth towards the sun
+ */
+function computeSunDirection(time) {
+    const toFixed = Cesium.Transforms.computeTemeToPseudoFixedMatrix(time);
+    const sunInertial = Cesium.Simon1994PlanetaryPositions.computeSunPositionInEarthInertialFrame(time);
+    const sunFixed = Cesium.Matrix3.multiplyByVector(toFixed, sunInertial, new Cesium.Cartesian3());
+    return Cesium.Cartesian3.normalize(sunFixed, sunFixed);
+}
+
+/**
+ * Position of the sun in the sky of a location
+ * @param {Cesium.Cartesian3} sunDirection - Unit vector towards the sun (Earth-fixed frame)
+ * @param {Number} lat - Latitude in degrees
+ * @param {Number} lon - Longitude in degrees
+ * @returns {Object} - { azimuth, elevation } in degrees, azimuth clockwise from north
+ */
+function computeSunAngles(sunDirection, lat, lon) {
+    const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(Cesium.Cartesian3.fromDegrees(lon, lat));
+    const fixedToEnu = Cesium.Matrix3.transpose(
+        Cesium.Matrix4.getMatrix3(enuToFixed, new Cesium.Matrix3()), new Cesium.Matrix3());
+    const local = Cesium.Matrix3.multiplyByVector(fixedToEnu, sunDirection, new Cesium.Cartesian3());
+
+    return {
+        azimuth: Cesium.Math.toDegrees(Cesium.Math.zeroToTwoPi(Math.atan2(local.x, local.y))),
+        elevation: Cesium.Math.toDegrees(Math.asin(Cesium.Math.clamp(local.z, -1.0, 1.0)))
+    };
+}
+
+/**
+ * Time at a local solar hour of a day at a longitude
+ * @param {Number} dayOfYear - Day of the year (1 = 1 January)
+ * @param {Number} localSolarHour - Local solar time (hours)
+ * @param {Number} lon - Longitude in degrees (15 degrees per hour)
+ * @returns {Cesium.JulianDate} - Time, rounded to the second
+ */
+function localSolarTime(dayOfYear, localSolarHour, lon) {
+    const utcMilliseconds = Date.UTC(AUGMENTATION_SETTINGS.year, 0, dayOfYear) + (localSolarHour - lon / 15) * 3600000;
+    return Cesium.JulianDate.fromDate(new Date(Math.round(utcMilliseconds / 1000) * 1000));
+}
+
+/**
+ * Morning local solar hour at which the sun reaches an elevation
+ * The sun rises monotonically from solar midnight to solar noon, so the hour is found by bisection
+ * @param {Number} dayOfYear - Day of the year
+ * @param {Object} location - Target location { lat, lon }
+ * @param {Number} elevation - Sun elevation in degrees
+ * @returns {Number} - Local solar hour (0 or 12 if the sun stays above or below the elevation)
+ */
+function findMorningHour(dayOfYear, location, elevation) {
+    let low = 0;
+    let high = 12;
+    for (let i = 0; i < 20; i++) {
+        const hour = (low + high) / 2;
+        const sun = computeSunAngles(computeSunDirection(localSolarTime(dayOfYear, hour, location.lon)), location.lat, location.lon);
+        if (sun.elevation < elevation) {
+            low = hour;
+        } else {
+            high = hour;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Sample the lighting and weather of a view and add them to its settings
+ * @param {Object} viewSettings - Resolved view settings (VIEW_SETTINGS values only)
+ * @param {String} viewName - View name (view1, view2, ...)
+ * @param {Function} random - Random function (the view's '<view>Augmentation' stream of the pair seed)
+ * @param {Object} location - Target location { lat, lon }
+ * @returns {Object} - View settings, with the sampled fog, imagery adjustments and environment
+ */
+function augmentViewSettings(viewSettings, viewName, random, location) {
+    if (!AUGMENTATION_SETTINGS.enabled || !location) return viewSettings;
+
+    const presetName = choosePreset(viewName, random);
+    if (!presetName) return viewSettings;
+    const preset = AUGMENTATION_SETTINGS.presets[presetName];
+
+    // Local solar time at the target, either sampled or where the morning sun is at a sampled elevation
+    const [firstDay, lastDay] = AUGMENTATION_SETTINGS.dayOfYearRange;
+    const dayOfYear = Math.min(Math.floor(randomInRange(random, [firstDay, lastDay + 1])), lastDay);
+    const localSolarHour = preset.sunElevationRange ?
+        findMorningHour(dayOfYear, location, randomInRange(random, preset.sunElevationRange)) :
+        randomInRange(random, preset.localHourRange);
+    const time = localSolarTime(dayOfYear, localSolarHour, location.lon);
+
+    const sunDirection = computeSunDirection(time);
+    const { azimuth, elevation } = computeSunAngles(sunDirection, location.lat, location.lon);
+
+    const environment = {
+        preset: presetName,
+        time: Cesium.JulianDate.toIso8601(time, 0),
+        dayOfYear,
+        localSolarHour,
+        sun: {
+            azimuth,
+            elevation,
+            direction: { x: sunDirection.x, y: sunDirection.y, z: sunDirection.z }
+        },
+        lightIntensity: randomInRange(random, preset.lightIntensity),
+        shadows: sampleSection(preset.shadows, random),
+        haze: randomInRange(random, preset.haze)
+    };
+
+    return {
+        ...viewSettings,
+        fog: { ...viewSettings.fog, ...sampleSection(preset.fog, random) },
+        imageryAdjustments: { ...viewSettings.imageryAdjustments, ...sampleSection(preset.imageryAdjustments, random) },
+        environment
+    };
+}
+
+/**
+ * Record the environment properties of a viewer that applyEnvironment changes
+ * @param {Cesium.Viewer} viewer - The Cesium viewer
+ * @returns {Object} - Original values, restored by applyEnvironment for views without environment
+ */
+function captureEnvironmentDefaults(viewer) {
+    const scene = viewer.scene;
+    return {
+        light: scene.light,
+        shouldAnimate: viewer.clock.shouldAnimate,
+        shadows: viewer.shadows,
+        terrainShadows: viewer.terrainShadows,
+        shadowDarkness: scene.shadowMap.darkness,
+        globeMieCoefficient: Cesium.Cartesian3.clone(scene.globe.atmosphereMieCoefficient),
+        skyMieCoefficient: scene.skyAtmosphere ? Cesium.Cartesian3.clone(scene.skyAtmosphere.atmosphereMieCoefficient) : null
+    };
+}
+
+/**
+ * Apply the sampled environment of a view (time, sun light, shadows and haze) to a viewer
+ * @param {Cesium.Viewer} viewer - The Cesium viewer
+ * @param {Object|null} environment - View settings environment (from augmentViewSettings)
+ * @param {Object} defaults - Result of captureEnvironmentDefaults, restored when environment is null (optional)
+ */
+function applyEnvironment(viewer, environment, defaults = null) {
+    const scene = viewer.scene;
+
+    if (!environment) {
+        if (!defaults) return;
+
+        scene.light = defaults.light;
+        viewer.clock.shouldAnimate = defaults.shouldAnimate;
+        viewer.shadows = defaults.shadows;
+        viewer.terrainShadows = defaults.terrainShadows;
+        scene.shadowMap.darkness = defaults.shadowDarkness;
+        scene.globe.atmosphereMieCoefficient = Cesium.Cartesian3.clone(defaults.globeMieCoefficient);
+        if (scene.skyAtmosphere && defaults.skyMieCoefficient) {
+            scene.skyAtmosphere.atmosphereMieCoefficient = Cesium.Cartesian3.clone(defaults.skyMieCoefficient);
+        }
+        return;
+    }
+
+    // Stop the clock at the sampled time for the render loop
+    viewer.clock.currentTime = Cesium.JulianDate.fromIso8601(environment.time);
+    viewer.clock.shouldAnimate = false;
+
+    // Explicit scene.render() calls light the scene at the wall-clock time, so the sun is a fixed light
+    const { x, y, z } = environment.sun.direction;
+    scene.light = new Cesium.DirectionalLight({
+        direction: Cesium.Cartesian3.negate(new Cesium.Cartesian3(x, y, z), new Cesium.Cartesian3()),
+        intensity: environment.lightIntensity
+    });
+
+    // Terrain casts and receives the shadows of the sun light
+    const shadows = environment.shadows.enabled;
+    viewer.shadows = shadows;
+    viewer.terrainShadows = shadows ? Cesium.ShadowMode.ENABLED : Cesium.ShadowMode.DISABLED;
+    if (shadows) scene.shadowMap.darkness = environment.shadows.darkness;
+
+    const mie = CLEAR_MIE_COEFFICIENT * environment.haze;
+    scene.globe.atmosphereMieCoefficient = new Cesium.Cartesian3(mie, mie, mie);
+    if (scene.skyAtmosphere) {
+        scene.skyAtmosphere.atmosphereMieCoefficient = new Cesium.Cartesian3(mie, mie, mie);
+    }
+}
+
+/**
+ * Describe what a view was rendered with, for metadata.json
+ * @param {Object} viewSettings - Settings the view was created with
+ * @returns {Object} - { preset, environment, globe, fog, imageryAdjustments } (preset and environment null if not augmented)
+ */
+function describeAppearance(viewSettings) {
+    const environment = viewSettings.environment || null;
+    return {
+        preset: environment ? environment.preset : null,
+        environment,
+        globe: viewSettings.globe || null,
+        fog: viewSettings.fog || null,
+        imageryAdjustments: viewSettings.imageryAdjustments || null
+    };
+}
+
+export {
+    augmentViewSettings,
+    captureEnvironmentDefaults,
+    applyEnvironment,
+    describeAppearance
+};
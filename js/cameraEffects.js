@@ -0,0 +1,326 @@
+/**
+ * Lens and sensor simulation for the saved images
+ *
+ * The renders are ideal pinhole images. When CAMERA_EFFECTS is enabled, each view samples its own
+ * Brown-Conrady distortion, vignetting, motion blur, noise and JPEG generation, and the clean images
+ * are passed through them in that order before they are saved. distortPixel maps ideal pixel
+ * positions to the distorted image, so the exported matchingPoints stay on the same features
+ */
+
+import { CAMERA_EFFECTS } from './config.js';
+
+/**
+ * Sample the [min, max] ranges of one effect
+ * @param {Object} settings - Effect settings from CAMERA_EFFECTS
+ * @param {Function} random - Random function
+ * @returns {Object|null} - Concrete parameters (without `enabled`), or null if the effect is disabled
+ */
+function sampleEffect(settings, random) {
+    if (!settings || !settings.enabled) return null;
+
+    const parameters = {};
+    Object.entries(settings).forEach(([key, value]) => {
+        if (key === 'enabled') return;
+        parameters[key] = Array.isArray(value) ? value[0] + random() * (value[1] - value[0]) : value;
+    });
+    return parameters;
+}
+
+/**
+ * Sample the camera effects of a view
+ * @param {Function} random - Random function (the view's '<view>Camera' stream of the pair seed)
+ * @returns {Object|null} - { distortion, vignetting, motionBlur, noise, jpeg } (null entries are skipped),
+ *                          or null if CAMERA_EFFECTS is disabled
+ */
+function sampleCameraEffects(random) {
+    if (!CAMERA_EFFECTS.enabled) return null;
+
+    const distortion = sampleEffect(CAMERA_EFFECTS.distortion, random);
+    return {
+        distortion: distortion ? { model: 'brownConrady', ...distortion } : null,
+        vignetting: sampleEffect(CAMERA_EFFECTS.vignetting, random),
+        motionBlur: sampleEffect(CAMERA_EFFECTS.motionBlur, random),
+        noise: sampleEffect(CAMERA_EFFECTS.noise, random),
+        jpeg: sampleEffect(CAMERA_EFFECTS.jpeg, random)
+    };
+}
+
+/**
+ * Apply Brown-Conrady distortion to a point in normalised camera coordinates
+ * @param {Number} x - Ideal x / z
+ * @param {Number} y - Ideal y / z (image y axis, pointing down)
+ * @param {Object} distortion - { k1, k2, k3, p1, p2 }
+ * @returns {Object} - Distorted { x, y }
+ */
+function distortNormalized(x, y, distortion) {
+    const { k1, k2, k3, p1, p2 } = distortion;
+    const r2 = x * x + y * y;
+    const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+    return {
+        x: x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+        y: y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
+    };
+}
+
+/**
+ * Invert distortNormalized by fixed-point iteration (as OpenCV's undistortPoints)
+ * @param {Number} xd - Distorted x / z
+ * @param {Number} yd - Distorted y / z
+ * @param {Object} distortion - { k1, k2, k3, p1, p2 }
+ * @returns {Object} - Ideal { x, y }
+ */
+function undistortNormalized(xd, yd, distortion) {
+    const { k1, k2, k3, p1, p2 } = distortion;
+    let x = xd;
+    let y = yd;
+    for (let i = 0; i < 10; i++) {
+        const r2 = x * x + y * y;
+        const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+        x = (xd - 2 * p1 * x * y - p2 * (r2 + 2 * x * x)) / radial;
+        y = (yd - p1 * (r2 + 2 * y * y) - 2 * p2 * x * y) / radial;
+    }
+    return { x, y };
+}
+
+/**
+ * Map an ideal (pinhole) pixel position to the distorted image
+ * @param {Object} pixel - Ideal { x, y } in image pixels
+ * @param {Object} distortion - Distortion of the view (from sampleCameraEffects), null for none
+ * @param {Object} intrinsics - Pinhole intrinsics { fx, fy, cx, cy } (see computeIntrinsics)
+ * @returns {Object} - Distorted { x, y } in image pixels
+ */
+function distortPixel(pixel, distortion, intrinsics) {
+    if (!distortion) return { x: pixel.x, y: pixel.y };
+
+    const { fx, fy, cx, cy } = intrinsics;
+    const distorted = distortNormalized((pixel.x - cx) / fx, (pixel.y - cy) / fy, distortion);
+    return {
+        x: distorted.x * fx + cx,
+        y: distorted.y * fy + cy
+    };
+}
+
+/**
+ * Bilinear sample of an RGB buffer
+ * Positions are continuous image coordinates (pixel i covers [i, i + 1)), as the exported pixels
+ * @param {Float32Array} source - RGB values, 3 per pixel
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Number} u - Horizontal position
+ * @param {Number} v - Vertical position
+ * @param {Float32Array} out - RGB result
+ * @param {Boolean} clampToEdge - Repeat the border outside the image (otherwise black)
+ */
+function sampleBilinear(source, width, height, u, v, out, clampToEdge) {
+    let px = u - 0.5;
+    let py = v - 0.5;
+    if (clampToEdge) {
+        px = Math.min(Math.max(px, 0), width - 1);
+        py = Math.min(Math.max(py, 0), height - 1);
+    } else if (px < -0.5 || py < -0.5 || px > width - 0.5 || py > height - 0.5) {
+        out[0] = out[1] = out[2] = 0;
+        return;
+    }
+
+    const x0 = Math.floor(px);
+    const y0 = Math.floor(py);
+    const tx = px - x0;
+    const ty = py - y0;
+    const xa = Math.min(Math.max(x0, 0), width - 1);
+    const xb = Math.min(Math.max(x0 + 1, 0), width - 1);
+    const ya = Math.min(Math.max(y0, 0), height - 1);
+    const yb = Math.min(Math.max(y0 + 1, 0), height - 1);
+
+    for (let c = 0; c < 3; c++) {
+        const top = source[(ya * width + xa) * 3 + c] * (1 - tx) + source[(ya * width + xb) * 3 + c] * tx;
+        const bottom = source[(yb * width + xa) * 3 + c] * (1 - tx) + source[(yb * width + xb) * 3 + c] * tx;
+        out[c] = top * (1 - ty) + bottom * ty;
+    }
+}
+
+/**
+ * Resample the ideal image into the distorted one
+ * @param {Float32Array} source - RGB values of the ideal image
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Object} distortion - { k1, k2, k3, p1, p2 }
+ * @param {Object} intrinsics - Pinhole intrinsics { fx, fy, cx, cy }
+ * @returns {Float32Array} - RGB values of the distorted image
+ */
+function applyDistortion(source, width, height, distortion, intrinsics) {
+    const { fx, fy, cx, cy } = intrinsics;
+    const result = new Float32Array(source.length);
+    const sample = new Float32Array(3);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Every distorted pixel shows the ideal position it came from
+            const ideal = undistortNormalized((x + 0.5 - cx) / fx, (y + 0.5 - cy) / fy, distortion);
+            sampleBilinear(source, width, height, ideal.x * fx + cx, ideal.y * fy + cy, sample, false);
+            result.set(sample, (y * width + x) * 3);
+        }
+    }
+    return result;
+}
+
+/**
+ * Linear motion blur, centered on each pixel so features do not move
+ * @param {Float32Array} source - RGB values
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Object} motionBlur - { length, angle } in pixels and degrees
+ * @returns {Float32Array} - Blurred RGB values
+ */
+function applyMotionBlur(source, width, height, motionBlur) {
+    const steps = Math.max(2, Math.ceil(motionBlur.length) + 1);
+    const angle = Cesium.Math.toRadians(motionBlur.angle);
+    const dx = Math.cos(angle) * motionBlur.length;
+    const dy = Math.sin(angle) * motionBlur.length;
+    const result = new Float32Array(source.length);
+    const sample = new Float32Array(3);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 3;
+            for (let step = 0; step < steps; step++) {
+                const t = step / (steps - 1) - 0.5;
+                sampleBilinear(source, width, height, x + 0.5 + t * dx, y + 0.5 + t * dy, sample, true);
+                result[offset] += sample[0] / steps;
+                result[offset + 1] += sample[1] / steps;
+                result[offset + 2] += sample[2] / steps;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Darken the image towards the corners (in place)
+ * @param {Float32Array} pixels - RGB values
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Object} vignetting - { strength, falloff }
+ * @param {Object} intrinsics - Pinhole intrinsics (the principal point is the center)
+ */
+function applyVignetting(pixels, width, height, vignetting, intrinsics) {
+    const { cx, cy } = intrinsics;
+    const cornerDistance = Math.hypot(Math.max(cx, width - cx), Math.max(cy, height - cy));
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / cornerDistance;
+            const gain = 1 - vignetting.strength * Math.pow(distance, vignetting.falloff);
+            const offset = (y * width + x) * 3;
+            pixels[offset] *= gain;
+            pixels[offset + 1] *= gain;
+            pixels[offset + 2] *= gain;
+        }
+    }
+}
+
+/**
+ * Add shot (Poisson) and read (Gaussian) noise (in place)
+ * Shot noise uses the Gaussian approximation, with a variance proportional to the signal
+ * @param {Float32Array} pixels - RGB values
+ * @param {Object} noise - { gaussianSigma, poissonGain }
+ * @param {Function} random - Random function
+ */
+function applyNoise(pixels, noise, random) {
+    // Box-Muller, keeping the second value of each pair
+    let spare = null;
+    const normal = () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const radius = Math.sqrt(-2 * Math.log(1 - random()));
+        const theta = 2 * Math.PI * random();
+        spare = radius * Math.sin(theta);
+        return radius * Math.cos(theta);
+    };
+
+    for (let i = 0; i < pixels.length; i++) {
+        const value = Math.max(pixels[i], 0);
+        const shotSigma = noise.poissonGain > 0 ? Math.sqrt(value / noise.poissonGain) : 0;
+        pixels[i] = value + Math.hypot(shotSigma, noise.gaussianSigma) * normal();
+    }
+}
+
+/**
+ * Encode a canvas as JPEG and decode it again
+ * @param {HTMLCanvasElement} canvas - Canvas to recompress (updated in place)
+ * @param {Number} quality - JPEG quality (0-1)
+ * @returns {Promise<HTMLCanvasElement>} - The canvas with the decoded JPEG
+ */
+function recompressJpeg(canvas, quality) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            resolve(canvas);
+        };
+        image.onerror = () => reject(new Error("Failed to decode the recompressed JPEG"));
+        image.src = canvas.toDataURL('image/jpeg', quality);
+    });
+}
+
+/**
+ * Pass a rendered image through the camera effects of its view
+ * The source is copied before the first await, so a WebGL canvas can be passed right after rendering
+ * @param {HTMLCanvasElement} source - Rendered image
+ * @param {Object} effects - Effects of the view (from sampleCameraEffects)
+ * @param {Object} intrinsics - Pinhole intrinsics of the render (see computeIntrinsics)
+ * @param {Function} random - Random function for the noise (the view's '<view>Noise' stream)
+ * @returns {Promise<HTMLCanvasElement>} - New canvas with the processed image
+ */
+async function applyCameraEffects(source, effects, intrinsics, random) {
+    const { width, height } = source;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0);
+
+    // Float RGB working copy
+    const imageData = context.getImageData(0, 0, width, height);
+    let pixels = new Float32Array(width * height * 3);
+    for (let i = 0, j = 0; i < imageData.data.length; i += 4, j += 3) {
+        pixels[j] = imageData.data[i];
+        pixels[j + 1] = imageData.data[i + 1];
+        pixels[j + 2] = imageData.data[i + 2];
+    }
+
+    if (effects.distortion) {
+        pixels = applyDistortion(pixels, width, height, effects.distortion, intrinsics);
+    }
+    if (effects.motionBlur && effects.motionBlur.length > 0) {
+        pixels = applyMotionBlur(pixels, width, height, effects.motionBlur);
+    }
+    if (effects.vignetting) {
+        applyVignetting(pixels, width, height, effects.vignetting, intrinsics);
+    }
+    if (effects.noise) {
+        applyNoise(pixels, effects.noise, random);
+    }
+
+    // Back to 8 bits (the clamped array rounds and clips)
+    for (let i = 0, j = 0; i < imageData.data.length; i += 4, j += 3) {
+        imageData.data[i] = pixels[j];
+        imageData.data[i + 1] = pixels[j + 1];
+        imageData.data[i + 2] = pixels[j + 2];
+        imageData.data[i + 3] = 255;
+    }
+    context.putImageData(imageData, 0, 0);
+
+    if (effects.jpeg) {
+        await recompressJpeg(canvas, effects.jpeg.quality);
+    }
+    return canvas;
+}
+
+export {
+    sampleCameraEffects,
+    distortPixel,
+    applyCameraEffects
+};
@@ -0,0 +1,233 @@
+/**
+ * Pinhole camera model (intrinsics and extrinsics) for exported dataset metadata
+ *
+ * All matrices are exported row-major as nested arrays and follow the OpenCV camera
+ * convention: x to the right, y down and z along the viewing direction. Pixel
+ * coordinates have their origin at the top-left corner of the image.
+ */
+
+/**
+ * Convert a Cesium Matrix3 (column-major) to a row-major nested array
+ * @param {Cesium.Matrix3} matrix - The matrix
+ * @returns {Array<Array<Number>>} - Row-major 3x3 array
+ */
+function matrix3ToRows(matrix) {
+    return [0, 1, 2].map(row => [0, 1, 2].map(col => matrix[Cesium.Matrix3.getElementIndex(col, row)]));
+}
+
+/**
+ * Convert a Cartesian3 to a plain array
+ * @param {Cesium.Cartesian3} vector - The vector
+ * @returns {Array<Number>} - [x, y, z]
+ */
+function cartesianToArray(vector) {
+    return [vector.x, vector.y, vector.z];
+}
+
+/**
+ * Build a world-to-camera rotation from camera axes expressed in the world frame
+ * @param {Cesium.Cartesian3} right - Camera right vector
+ * @param {Cesium.Cartesian3} up - Camera up vector
+ * @param {Cesium.Cartesian3} direction - Camera viewing direction
+ * @returns {Cesium.Matrix3} - Rotation whose rows are the OpenCV camera axes
+ */
+function rotationFromAxes(right, up, direction) {
+    // Cesium's up points to the top of the image, OpenCV's y axis points down
+    return new Cesium.Matrix3(
+        right.x, right.y, right.z,
+        -up.x, -up.y, -up.z,
+        direction.x, direction.y, direction.z
+    );
+}
+
+/**
+ * Compute the translation t = -R * C for a camera at position C
+ * @param {Cesium.Matrix3} rotation - World-to-camera rotation
+ * @param {Cesium.Cartesian3} position - Camera centre in the world frame
+ * @returns {Cesium.Cartesian3} - Translation vector
+ */
+function translationFromPosition(rotation, position) {
+    const translation = Cesium.Matrix3.multiplyByVector(rotation, position, new Cesium.Cartesian3());
+    return Cesium.Cartesian3.negate(translation, translation);
+}
+
+/**
+ * Compute the pinhole intrinsics of a camera for an image of the given size
+ * @param {Cesium.Camera} camera - The Cesium camera (perspective frustum)
+ * @param {Number} width - Image width in pixels
+ * @param {Number} height - Image height in pixels
+ * @returns {Object} - Intrinsic parameters and the 3x3 matrix K
+ */
+function computeIntrinsics(camera, width, height) {
+    const frustum = camera.frustum;
+    const aspectRatio = width / height;
+
+    // Cesium's fov is horizontal when the image is wider than tall, vertical otherwise
+    const fov = frustum.fov;
+    const fovx = aspectRatio >= 1 ? fov : 2 * Math.atan(Math.tan(fov / 2) * aspectRatio);
+    const fovy = aspectRatio >= 1 ? 2 * Math.atan(Math.tan(fov / 2) / aspectRatio) : fov;
+
+    // Square pixels: fx and fy only differ if the frustum aspect ratio does not match the image
+    const fx = (width / 2) / Math.tan(fovx / 2);
+    const fy = (height / 2) / Math.tan(fovy / 2);
+    const cx = width / 2;
+    const cy = height / 2;
+
+    return {
+        width,
+        height,
+        fx,
+        fy,
+        cx,
+        cy,
+        fovDegrees: {
+            horizontal: Cesium.Math.toDegrees(fovx),
+            vertical: Cesium.Math.toDegrees(fovy)
+        },
+        aspectRatio,
+        near: frustum.near,
+        far: frustum.far,
+        K: [
+            [fx, 0, cx],
+            [0, fy, cy],
+            [0, 0, 1]
+        ]
+    };
+}
+
+/**
+ * Compute the world-to-camera transform of a camera in ECEF and in a local ENU frame
+ * @param {Cesium.Camera} camera - The Cesium camera
+ * @param {Cesium.Cartesian3} enuOrigin - Origin of the local east-north-up frame (e.g. the target)
+ * @returns {Object} - Rotation, translation and camera centre in both frames
+ */
+function computeExtrinsics(camera, enuOrigin) {
+    // World-frame axes (camera.right/up/direction may be relative to a lookAt transform)
+    const position = camera.positionWC;
+    const rotationEcef = rotationFromAxes(camera.rightWC, camera.upWC, camera.directionWC);
+    const translationEcef = translationFromPosition(rotationEcef, position);
+
+    // Express the camera centre and axes in the local ENU frame at the origin
+    const enuToEcef = Cesium.Transforms.eastNorthUpToFixedFrame(enuOrigin);
+    const ecefToEnu = Cesium.Matrix4.inverseTransformation(enuToEcef, new Cesium.Matrix4());
+    const toEnuVector = vector => Cesium.Matrix4.multiplyByPointAsVector(ecefToEnu, vector, new Cesium.Cartesian3());
+
+    const positionEnu = Cesium.Matrix4.multiplyByPoint(ecefToEnu, position, new Cesium.Cartesian3());
+    const rotationEnu = rotationFromAxes(
+        toEnuVector(camera.rightWC),
+        toEnuVector(camera.upWC),
+        toEnuVector(camera.directionWC)
+    );
+    const translationEnu = translationFromPosition(rotationEnu, positionEnu);
+
+    const originCartographic = Cesium.Cartographic.fromCartesian(enuOrigin);
+
+    return {
+        convention: 'opencv (x right, y down, z forward); X_cam = R * X_world + t',
+        ecef: {
+            R: matrix3ToRows(rotationEcef),
+            t: cartesianToArray(translationEcef),
+            position: cartesianToArray(position)
+        },
+        enu: {
+            origin: {
+                lat: Cesium.Math.toDegrees(originCartographic.latitude),
+                lon: Cesium.Math.toDegrees(originCartographic.longitude),
+                height: originCartographic.height,
+                ecef: cartesianToArray(enuOrigin)
+            },
+            R: matrix3ToRows(rotationEnu),
+            t: cartesianToArray(translationEnu),
+            position: cartesianToArray(positionEnu)
+        }
+    };
+}
+
+/**
+ * Build the skew-symmetric cross-product matrix [v]x
+ * @param {Cesium.Cartesian3} v - The vector
+ * @returns {Cesium.Matrix3} - Matrix such that [v]x * w = v x w
+ */
+function crossProductMatrix(v) {
+    return new Cesium.Matrix3(
+        0, -v.z, v.y,
+        v.z, 0, -v.x,
+        -v.y, v.x, 0
+    );
+}
+
+/**
+ * Scale a matrix to unit Frobenius norm
+ * @param {Cesium.Matrix3} matrix - The matrix (modified in place)
+ * @returns {Cesium.Matrix3} - The normalised matrix
+ */
+function normalizeFrobenius(matrix) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        sum += matrix[i] * matrix[i];
+    }
+    const norm = Math.sqrt(sum);
+    return norm > 0 ? Cesium.Matrix3.multiplyByScalar(matrix, 1 / norm, matrix) : matrix;
+}
+
+/**
+ * Compute the ground-truth relative pose and epipolar geometry between two cameras
+ * @param {Object} extrinsics1 - Extrinsics of the first camera (from computeExtrinsics)
+ * @param {Object} extrinsics2 - Extrinsics of the second camera
+ * @param {Object} intrinsics1 - Intrinsics of the first camera (from computeIntrinsics)
+ * @param {Object} intrinsics2 - Intrinsics of the second camera
+ * @returns {Object} - Relative rotation/translation, essential and fundamental matrices
+ */
+function computeRelativePose(extrinsics1, extrinsics2, intrinsics1, intrinsics2) {
+    // The local ENU frame keeps the numbers small; the relative pose does not depend on the frame
+    const R1 = Cesium.Matrix3.fromRowMajorArray(extrinsics1.enu.R.flat());
+    const R2 = Cesium.Matrix3.fromRowMajorArray(extrinsics2.enu.R.flat());
+    const t1 = Cesium.Cartesian3.fromArray(extrinsics1.enu.t);
+    const t2 = Cesium.Cartesian3.fromArray(extrinsics2.enu.t);
+
+    // X_cam2 = R * X_cam1 + t with R = R2 * R1^T and t = t2 - R * t1
+    const R = Cesium.Matrix3.multiply(R2, Cesium.Matrix3.transpose(R1, new Cesium.Matrix3()), new Cesium.Matrix3());
+    const rotatedT1 = Cesium.Matrix3.multiplyByVector(R, t1, new Cesium.Cartesian3());
+    const t = Cesium.Cartesian3.subtract(t2, rotatedT1, new Cesium.Cartesian3());
+    const baseline = Cesium.Cartesian3.magnitude(t);
+    const tUnit = baseline > 0 ? Cesium.Cartesian3.normalize(t, new Cesium.Cartesian3()) : t.clone();
+
+    // Rotation angle from the trace, clamped against rounding
+    const trace = R[0] + R[4] + R[8];
+    const rotationAngle = Math.acos(Math.min(1, Math.max(-1, (trace - 1) / 2)));
+
+    // Essential matrix in normalised camera coordinates, using the unit translation
+    // so its singular values are (1, 1, 0): x2n^T E x1n = 0
+    const E = Cesium.Matrix3.multiply(crossProductMatrix(tUnit), R, new Cesium.Matrix3());
+
+    // Fundamental matrix in pixel coordinates: F = K2^-T E K1^-1, x2^T F x1 = 0
+    const K1 = Cesium.Matrix3.fromRowMajorArray(intrinsics1.K.flat());
+    const K2 = Cesium.Matrix3.fromRowMajorArray(intrinsics2.K.flat());
+    const K1Inverse = Cesium.Matrix3.inverse(K1, new Cesium.Matrix3());
+    const K2InverseT = Cesium.Matrix3.transpose(Cesium.Matrix3.inverse(K2, new Cesium.Matrix3()), new Cesium.Matrix3());
+    const F = Cesium.Matrix3.multiply(
+        K2InverseT,
+        Cesium.Matrix3.multiply(E, K1Inverse, new Cesium.Matrix3()),
+        new Cesium.Matrix3()
+    );
+    normalizeFrobenius(F);
+
+    return {
+        convention: 'X_cam2 = R * X_cam1 + t (opencv camera frames); x2^T E x1 = 0 (normalised), x2^T F x1 = 0 (pixels)',
+        R: matrix3ToRows(R),
+        t: cartesianToArray(t),
+        tUnit: cartesianToArray(tUnit),
+        baseline,
+        rotationAngleDegrees: Cesium.Math.toDegrees(rotationAngle),
+        essentialMatrix: matrix3ToRows(E),
+        fundamentalMatrix: matrix3ToRows(F)
+    };
+}
+
+export {
+    computeIntrinsics,
+    computeExtrinsics,
+    computeRelativePose,
+    matrix3ToRows,
+    cartesianToArray
+};
@@ -2,6 +2,14 @@
  * Data export functionality for drone view matching
  */
 
+import { DRONE_PARAMS, KEYPOINT_SETTINGS, DEPTH_SETTINGS, FLOW_SETTINGS, SPLIT_SETTINGS, IMAGE_FORMAT } from './config.js';
+import { computeIntrinsics, computeExtrinsics, computeRelativePose } from './cameraModel.js';
+import { captureDepthMap, encodeDepthMap, getDepthFileExtension, describeDepthEncoding } from './depthMap.js';
+import { computeDenseCorrespondence, describeDenseCorrespondence } from './denseCorrespondence.js';
+import { encodeNpy, getImageExtension, encodeCanvasImage } from './encoders.js';
+import { getHeightAboveGround } from './terrain.js';
+import { distortPixel } from './cameraEffects.js';
+
 // Store multiple datasets
 let datasetCollection = [];
 
@@ -75,7 +83,7 @@ async function ensureDirectoryAccess() {
 /**
  * Save file directly to the selected directory using File System Access API
  * @param {String} filename - Name of the file to save
- * @param {Blob|String} content - Content to save (Blob or String)
+ * @param {Blob|String} content - Content to save (Blob, data URL of any image type, or text)
  * @param {String} subfolderName - Optional subfolder name
  * @returns {Promise} - Promise resolving when the file is saved
  */
@@ -153,75 +161,251 @@ async function saveFileToDirectory(filename, content, subfolderName = null) {
     }
 }
 
+/**
+ * Read a text file from the selected directory
+ * @param {String} filename - Name of the file
+ * @param {String} subfolderName - Optional subfolder name
+ * @returns {Promise<String|null>} - File contents, or null if the file does not exist
+ */
+async function readDirectoryText(filename, subfolderName = null) {
+    if (!directoryHandle) {
+        throw new Error("No directory access. Please select a directory first.");
+    }
+    
+    let file;
+    try {
+        const dirHandle = subfolderName ? await directoryHandle.getDirectoryHandle(subfolderName) : directoryHandle;
+        const fileHandle = await dirHandle.getFileHandle(filename);
+        file = await fileHandle.getFile();
+    } catch (error) {
+        if (error.name === 'NotFoundError') {
+            return null;
+        }
+        throw error;
+    }
+    
+    return file.text();
+}
+
+/**
+ * Write a text file to the selected directory
+ * @param {String} filename - Name of the file
+ * @param {String} text - File contents
+ * @param {String} subfolderName - Optional subfolder name
+ * @returns {Promise<Object>} - Result of saveFileToDirectory
+ */
+function writeDirectoryText(filename, text, subfolderName = null) {
+    return saveFileToDirectory(filename, text, subfolderName);
+}
+
+/**
+ * Read a JSON file from the root of the selected directory
+ * @param {String} filename - Name of the file
+ * @returns {Promise<Object|null>} - Parsed content, or null if the file does not exist
+ */
+async function readDirectoryJson(filename) {
+    const text = await readDirectoryText(filename);
+    return text === null ? null : JSON.parse(text);
+}
+
+/**
+ * Write a JSON file to the root of the selected directory
+ * @param {String} filename - Name of the file
+ * @param {Object} data - Data to serialize
+ * @returns {Promise<Object>} - Result of saveFileToDirectory
+ */
+function writeDirectoryJson(filename, data) {
+    return writeDirectoryText(filename, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Describe the view images of a pair for its README
+ * @param {Array<Object>} views - metadata.views entries
+ * @returns {String} - One line per view image
+ */
+function describeViewImages(views) {
+    return views.map((view, index) =>
+        `- ${view.image}: Clean image from view ${index + 1} (no markers or entities)` +
+        (view.imagery ? `, imagery: ${view.imagery.label}` : '') + '\n').join('');
+}
+
+/**
+ * Describe the depth and dense correspondence files of a pair for its README
+ * @param {Object} metadata - Pair metadata with the depth and denseCorrespondence descriptions
+ * @returns {String} - One line per kind of file (empty if none were saved)
+ */
+function describeDepthFiles(metadata) {
+    return (metadata.depth ?
+            `- ${Object.values(metadata.depth.views).map(view => view.file).join(', ')}: ` +
+            `Depth maps (encoding described in metadata.json)\n` : '') +
+        (metadata.denseCorrespondence ?
+            `- flow.npy, flow_mask.npy: Dense view1 -> view2 correspondence and validity mask\n` : '');
+}
+
+/**
+ * Encode the depth maps and the dense view1 -> view2 correspondence of a pair
+ * Their descriptions are added to the pair metadata (depth, denseCorrespondence)
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers, view1 first
+ * @param {Object} depthMaps - Depth maps keyed by view name (null if none were captured)
+ * @param {Object} metadata - Pair metadata, updated in place
+ * @returns {Promise<Array<Object>>} - Files { name, content } for the pair folder
+ */
+async function encodeDepthFiles(viewers, depthMaps, metadata) {
+    const viewNames = viewers.map((viewer, index) => `view${index + 1}`);
+    const files = [];
+    if (!depthMaps || !viewNames.every(name => depthMaps[name])) return files;
+    
+    if (DEPTH_SETTINGS.enabled) {
+        const extension = getDepthFileExtension();
+        const depthFiles = {};
+        for (const [index, name] of viewNames.entries()) {
+            depthFiles[name] = `depth${index + 1}.${extension}`;
+            files.push({ name: depthFiles[name], content: await encodeDepthMap(depthMaps[name]) });
+        }
+        metadata.depth = describeDepthEncoding(depthMaps, depthFiles);
+    }
+    
+    // Warp field with its validity/occlusion mask
+    if (FLOW_SETTINGS.enabled) {
+        const correspondence = computeDenseCorrespondence(viewers[0], viewers[1], depthMaps.view1, depthMaps.view2);
+        const flowFiles = { flow: 'flow.npy', mask: 'flow_mask.npy' };
+        files.push(
+            { name: flowFiles.flow, content: encodeNpy(correspondence.coordinates, [correspondence.height, correspondence.width, 2]) },
+            { name: flowFiles.mask, content: encodeNpy(correspondence.mask, [correspondence.height, correspondence.width]) }
+        );
+        metadata.denseCorrespondence = describeDenseCorrespondence(correspondence, flowFiles);
+    }
+    
+    return files;
+}
+
 /**
  * Captures the current state and exports it as a dataset
- * @param {Cesium.Viewer} viewer1 - First Cesium viewer
- * @param {Cesium.Viewer} viewer2 - Second Cesium viewer
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers, one per view (view1 first)
  * @param {Array} matchingPoints - Array of matching points
  * @param {String} locationName - Name of the current location
  * @param {Boolean} addToCollection - Whether to add to collection rather than export directly
- * @param {String} cleanView1Image - Clean screenshot of view1 without entities
- * @param {String} cleanView2Image - Clean screenshot of view2 without entities
- * @param {String} debugView1 - Debug screenshot of view1 with entities
- * @param {String} debugView2 - Debug screenshot of view2 with entities
+ * @param {Array<String>} cleanImages - Clean screenshots of every view without entities
+ * @param {Array<String>} debugImages - Debug screenshots of every view with entities
  * @param {Number} pairIndex - Optional index for the pair when using File System Access API
+ * @param {Object} pairInfo - Additional per-pair information
+ * @param {Number} pairInfo.seed - Seed the pair was generated from
+ * @param {Cesium.Cartesian3} pairInfo.enuOrigin - Origin of the local ENU frame for camera extrinsics (the target)
+ * @param {Object} pairInfo.depthMaps - Depth maps { view1, view2, ... } captured with the clean images
+ * @param {Object} pairInfo.keypointStats - Sampling stats when surface keypoints are used
+ * @param {Object} pairInfo.locationSource - Location source type and region of the target
+ * @param {Object} pairInfo.osm - Matched OSM element { type, id, tags, filters, lat, lon } (buildings source)
+ * @param {Object} pairInfo.split - Geographic split { name, cell, precision } of the target
+ * @param {Object} pairInfo.placement - Sampled and realised camera placement checked against DRONE_PARAMS
+ * @param {Object} pairInfo.overlap - Covisible area of consecutive views from computeOverlap
+ * @param {Array<Object>} pairInfo.appearances - Preset, environment, globe, fog and imagery adjustments of every view
+ * @param {Array<Object>} pairInfo.imagery - Imagery provider { id, type, label, date } of every view
+ * @param {Array<Object>} pairInfo.cameraEffects - Camera effects applied to the clean image of every view (null entries for none)
  * @returns {Promise} - Promise resolving when export is complete
  */
 function exportDataset(
-    viewer1, 
-    viewer2, 
+    viewers, 
     matchingPoints, 
     locationName, 
     addToCollection = false,
-    cleanView1Image = null,
-    cleanView2Image = null,
-    debugView1 = null,
-    debugView2 = null,
-    pairIndex = null
+    cleanImages = null,
+    debugImages = null,
+    pairIndex = null,
+    pairInfo = {}
 ) {
     return new Promise(async (resolve, reject) => {
         try {
-            // Get camera positions and orientations
-            const camera1 = viewer1.camera;
-            const camera2 = viewer2.camera;
+            const viewNames = viewers.map((viewer, index) => `view${index + 1}`);
+            const imageExtension = getImageExtension();
+            
+            // Local ENU frame shared by all cameras - the target, or the first matching point as a fallback
+            const enuOrigin = pairInfo.enuOrigin ||
+                (matchingPoints.find(point => point.pointType === 'center') || matchingPoints[0]).point3D;
             
-            // Get viewport dimensions for percentage calculations
-            const view1Width = viewer1.canvas.clientWidth;
-            const view1Height = viewer1.canvas.clientHeight;
-            const view2Width = viewer2.canvas.clientWidth;
-            const view2Height = viewer2.canvas.clientHeight;
+            // Pinhole model in image pixels (the saved image is the canvas drawing buffer)
+            const intrinsics = viewers.map(viewer => computeIntrinsics(viewer.camera, viewer.canvas.width, viewer.canvas.height));
+            const extrinsics = viewers.map(viewer => computeExtrinsics(viewer.camera, enuOrigin));
+            
+            // Ellipsoidal and above-ground altitudes of the target and the cameras
+            const [targetAltitude, ...altitudes] = await Promise.all([
+                getHeightAboveGround(enuOrigin),
+                ...viewers.map(viewer => getHeightAboveGround(viewer.camera.positionWC))
+            ]);
+            const targetCartographic = Cesium.Cartographic.fromCartesian(enuOrigin);
             
             // Create dataset with all necessary information
             const dataset = {
                 metadata: {
                     timestamp: new Date().toISOString(),
                     location: locationName,
+                    seed: pairInfo.seed,
+                    locationSource: pairInfo.locationSource,
+                    osm: pairInfo.osm,
+                    split: pairInfo.split,
                     pointCount: matchingPoints.length,
-                    viewportDimensions: {
-                        view1: { width: view1Width, height: view1Height },
-                        view2: { width: view2Width, height: view2Height }
+                    viewCount: viewers.length,
+                    imageFormat: {
+                        type: IMAGE_FORMAT.type,
+                        quality: IMAGE_FORMAT.type === 'png' ? null : IMAGE_FORMAT.quality
                     },
-                    cameras: {
-                        camera1: {
-                            position: {
-                                x: camera1.position.x,
-                                y: camera1.position.y,
-                                z: camera1.position.z
-                            },
-                            heading: camera1.heading,
-                            pitch: camera1.pitch,
-                            roll: camera1.roll
+                    debugImage: `debug.${imageExtension}`,
+                    // One entry per view, in the order of the views of each matching point
+                    views: viewers.map((viewer, index) => ({
+                        name: viewNames[index],
+                        image: `${viewNames[index]}.${imageExtension}`,
+                        viewport: {
+                            width: viewer.canvas.clientWidth,
+                            height: viewer.canvas.clientHeight
+                        },
+                        // Saved image in pixels (the viewport times OUTPUT_SETTINGS.resolutionScale)
+                        imageSize: {
+                            width: viewer.canvas.width,
+                            height: viewer.canvas.height
                         },
-                        camera2: {
+                        camera: {
                             position: {
-                                x: camera2.position.x,
-                                y: camera2.position.y,
-                                z: camera2.position.z
+                                x: viewer.camera.position.x,
+                                y: viewer.camera.position.y,
+                                z: viewer.camera.position.z
                             },
-                            heading: camera2.heading,
-                            pitch: camera2.pitch,
-                            roll: camera2.roll
-                        }
+                            heading: viewer.camera.heading,
+                            pitch: viewer.camera.pitch,
+                            roll: viewer.camera.roll,
+                            intrinsics: intrinsics[index],
+                            extrinsics: extrinsics[index],
+                            altitude: altitudes[index]
+                        },
+                        // Ground-truth relative pose from view1 to this view with epipolar matrices
+                        relativePose: index > 0 ?
+                            computeRelativePose(extrinsics[0], extrinsics[index], intrinsics[0], intrinsics[index]) :
+                            undefined,
+                        // Lighting, weather and colour the view was rendered with (see js/augmentation.js)
+                        appearance: pairInfo.appearances?.[index],
+                        // Imagery provider of the view (see js/imageryProviders.js)
+                        imagery: pairInfo.imagery?.[index],
+                        // Lens and sensor effects applied to the image (see js/cameraEffects.js)
+                        cameraEffects: pairInfo.cameraEffects?.[index] || undefined
+                    })),
+                    // How the matching points were produced
+                    keypoints: {
+                        mode: KEYPOINT_SETTINGS.mode,
+                        count: matchingPoints.length,
+                        stats: pairInfo.keypointStats
+                    },
+                    // Realised height, distance, pitch and fov of each camera (and the sampled values)
+                    placement: pairInfo.placement,
+                    // Covisible area fraction of the pair (see js/overlap.js) and how it was measured
+                    overlap: pairInfo.overlap ? pairInfo.overlap.value : null,
+                    overlapDetails: pairInfo.overlap ? {
+                        surface: pairInfo.overlap.surface,
+                        gridSize: pairInfo.overlap.gridSize,
+                        pairs: pairInfo.overlap.pairs
+                    } : null,
+                    // Target (ENU origin) with its ground height
+                    target: {
+                        lat: Cesium.Math.toDegrees(targetCartographic.latitude),
+                        lon: Cesium.Math.toDegrees(targetCartographic.longitude),
+                        altitude: targetAltitude
                     },
                     distance: parseFloat(document.getElementById('camera-distance').textContent)
                 },
@@ -232,21 +416,31 @@ function exportDataset(
                         z: point.point3D.z
                     },
                     pointType: point.pointType || 'center', // Include point type (corner, mid, center)
-                    view1: {
-                        // Convert to relative coordinates (0-1)
-                        x: point.view1Pos.x / view1Width,
-                        y: point.view1Pos.y / view1Height
-                    },
-                    view2: {
-                        // Convert to relative coordinates (0-1)
-                        // Get the original viewer2 coordinates (not the adjusted ones used for overlay)
-                        x: (point.view2Pos.x - viewer1.canvas.clientWidth) / view2Width,
-                        y: point.view2Pos.y / view2Height
-                    },
+                    // Relative coordinates (0-1) and image pixels in each view, null if the point is behind the camera
+                    // With lens distortion, both are in the distorted image and idealPixel is the pinhole position
+                    views: viewers.map((viewer, index) => {
+                        const position = point.viewPositions?.[index];
+                        if (!position) return null;
+                        
+                        const idealPixel = {
+                            x: position.x / viewer.canvas.clientWidth * viewer.canvas.width,
+                            y: position.y / viewer.canvas.clientHeight * viewer.canvas.height
+                        };
+                        const distortion = pairInfo.cameraEffects?.[index]?.distortion;
+                        const pixel = distortPixel(idealPixel, distortion, intrinsics[index]);
+                        return {
+                            x: pixel.x / viewer.canvas.width,
+                            y: pixel.y / viewer.canvas.height,
+                            pixel,
+                            idealPixel: distortion ? idealPixel : undefined,
+                            isOccluded: point.isOccluded?.[viewNames[index]] ?? false
+                        };
+                    }),
                     isCorrect: point.isCorrect,
-                    isForcedMatch: point.isForcedMatch
+                    isForcedMatch: point.isForcedMatch,
+                    depthCheck: point.depthCheck // Surface keypoints only
                 })),
-                virtualObjectInfo: matchingPoints.length > 1 ? {
+                virtualObjectInfo: matchingPoints.length > 1 && KEYPOINT_SETTINGS.mode !== 'surface' ? {
                     type: "rectangle",
                     dimensions: {
                         width: 50, // Width in meters
@@ -258,17 +452,19 @@ function exportDataset(
                 } : undefined
             };
             
+            // Depth maps captured alongside the clean images (if enabled)
+            let depthMaps = pairInfo.depthMaps || null;
+            
             // Add the provided images - either externally provided or captured now
             try {
                 // If external images are provided, use them
-                if (cleanView1Image && cleanView2Image && debugView1 && debugView2) {
+                if (cleanImages && debugImages) {
                     // Create a combined debug image
-                    const debugCombined = await createCombinedImage(debugView1, debugView2);
+                    const debugCombined = await createCombinedImage(debugImages);
                     
                     // Store only clean images and combined debug image
                     dataset.metadata.images = {
-                        view1_clean: cleanView1Image,
-                        view2_clean: cleanView2Image,
+                        clean: cleanImages,
                         combined_debug: debugCombined
                     };
                 } else {
@@ -276,102 +472,83 @@ function exportDataset(
                     // We need to capture both clean and debug versions
                     
                     // First, completely hide all entities for clean screenshots
-                    const entities1 = viewer1.entities.values.slice();
-                    const entities2 = viewer2.entities.values.slice();
-                    
-                    // Hide all entities
-                    for (const entity of entities1) {
-                        entity.show = false;
-                    }
-                    for (const entity of entities2) {
+                    const entities = viewers.map(viewer => viewer.entities.values.slice());
+                    entities.flat().forEach(entity => {
                         entity.show = false;
-                    }
+                    });
                     
                     // Also hide any primitives that might be visible
-                    const primitiveCollections1 = viewer1.scene.primitives._primitives;
-                    const primitiveCollections2 = viewer2.scene.primitives._primitives;
+                    const primitiveCollections = viewers.map(viewer => viewer.scene.primitives._primitives);
                     
                     // Save original visibility state
-                    const originalPrimitiveVisibility1 = primitiveCollections1.map(p => p.show);
-                    const originalPrimitiveVisibility2 = primitiveCollections2.map(p => p.show);
+                    const originalPrimitiveVisibility = primitiveCollections.map(primitives => primitives.map(p => p.show));
                     
                     // Hide all primitive collections except essential ones (like terrain)
-                    for (let i = 0; i < primitiveCollections1.length; i++) {
-                        const p = primitiveCollections1[i];
+                    primitiveCollections.flat().forEach(p => {
                         // Only hide visualization primitives, keep terrain and imagery
                         if (!(p instanceof Cesium.Globe) && 
                             !(p instanceof Cesium.SkyBox) && 
                             !(p instanceof Cesium.SkyAtmosphere)) {
                             p.show = false;
                         }
-                    }
-                    
-                    for (let i = 0; i < primitiveCollections2.length; i++) {
-                        const p = primitiveCollections2[i];
-                        if (!(p instanceof Cesium.Globe) && 
-                            !(p instanceof Cesium.SkyBox) && 
-                            !(p instanceof Cesium.SkyAtmosphere)) {
-                            p.show = false;
-                        }
-                    }
+                    });
                     
                     // Force multiple renders to ensure everything is hidden
-                    viewer1.scene.render();
-                    viewer2.scene.render();
+                    viewers.forEach(viewer => viewer.scene.render());
                     
                     // Additional render cycle to be absolutely sure
-                    viewer1.scene.render();
-                    viewer2.scene.render();
+                    viewers.forEach(viewer => viewer.scene.render());
                     
                     // Capture clean screenshots
-                    const cleanView1Image = viewer1.canvas.toDataURL('image/jpeg', 0.95);
-                    const cleanView2Image = viewer2.canvas.toDataURL('image/jpeg', 0.95);
+                    const cleanViewImages = viewers.map(viewer => encodeCanvasImage(viewer.canvas));
                     
-                    // Restore original visibility for entities
-                    for (const entity of entities1) {
-                        entity.show = true;
+                    // Read back depth while the entities are still hidden. A single JSON download
+                    // has no room for depth files, so the per-pixel read back is skipped there
+                    if ((DEPTH_SETTINGS.enabled || FLOW_SETTINGS.enabled) && !depthMaps) {
+                        if (directoryHandle !== null || addToCollection) {
+                            depthMaps = {};
+                            viewers.forEach((viewer, index) => {
+                                depthMaps[viewNames[index]] = captureDepthMap(viewer);
+                            });
+                        } else {
+                            console.warn("Depth maps and dense correspondence are only saved to a directory or a collection - skipping depth capture");
+                        }
                     }
-                    for (const entity of entities2) {
+                    
+                    // Restore original visibility for entities
+                    entities.flat().forEach(entity => {
                         entity.show = true;
-                    }
+                    });
                     
                     // Restore primitive collections visibility
-                    for (let i = 0; i < primitiveCollections1.length; i++) {
-                        if (i < originalPrimitiveVisibility1.length) {
-                            primitiveCollections1[i].show = originalPrimitiveVisibility1[i];
-                        }
-                    }
-                    
-                    for (let i = 0; i < primitiveCollections2.length; i++) {
-                        if (i < originalPrimitiveVisibility2.length) {
-                            primitiveCollections2[i].show = originalPrimitiveVisibility2[i];
+                    primitiveCollections.forEach((primitives, view) => {
+                        for (let i = 0; i < primitives.length; i++) {
+                            if (i < originalPrimitiveVisibility[view].length) {
+                                primitives[i].show = originalPrimitiveVisibility[view][i];
+                            }
                         }
-                    }
+                    });
                     
                     // Force multiple renders to ensure everything is visible again
-                    viewer1.scene.render();
-                    viewer2.scene.render();
+                    viewers.forEach(viewer => viewer.scene.render());
                     
                     // Additional render cycle to be absolutely sure
-                    viewer1.scene.render();
-                    viewer2.scene.render();
+                    viewers.forEach(viewer => viewer.scene.render());
                     
                     // Capture debug views
-                    const debugView1 = viewer1.canvas.toDataURL('image/jpeg', 0.95);
-                    const debugView2 = viewer2.canvas.toDataURL('image/jpeg', 0.95);
+                    const debugViewImages = viewers.map(viewer => encodeCanvasImage(viewer.canvas));
                     
                     // Create combined debug image
-                    const debugCombined = await createCombinedImage(debugView1, debugView2);
+                    const debugCombined = await createCombinedImage(debugViewImages);
                     
                     // Check if the images are valid
-                    if (cleanView1Image.length < 1000 || cleanView2Image.length < 1000) {
+                    if (cleanViewImages.some(image => image.length < 1000)) {
                         throw new Error("Captured images appear to be empty or invalid");
                     }
                     
                     // Store only clean images and combined debug image
                     dataset.metadata.images = {
-                        view1_clean: cleanView1Image,
-                        view2_clean: cleanView2Image,
+                        clean: cleanViewImages,
                         combined_debug: debugCombined
                     };
                 }
@@ -383,6 +560,8 @@ function exportDataset(
             
             // If adding to collection, store and return
             if (addToCollection && directoryHandle === null) {
+                // Depth and flow files go into the zip next to the images
+                dataset.files = await encodeDepthFiles(viewers, depthMaps, dataset.metadata);
                 datasetCollection.push(dataset);
                 resolve({ 
                     success: true, 
@@ -401,20 +580,16 @@ function exportDataset(
                     const folderName = `pair_${pairNum}_${locationStr}`;
                     
                     // Save images
-                    if (dataset.metadata.images.view1_clean) {
-                        await saveFileToDirectory('view1.jpg', dataset.metadata.images.view1_clean, folderName);
-                        await saveFileToDirectory('view2.jpg', dataset.metadata.images.view2_clean, folderName);
-                        await saveFileToDirectory('debug.jpg', dataset.metadata.images.combined_debug, folderName);
+                    if (dataset.metadata.images.clean) {
+                        for (const [index, view] of dataset.metadata.views.entries()) {
+                            await saveFileToDirectory(view.image, dataset.metadata.images.clean[index], folderName);
+                        }
+                        await saveFileToDirectory(dataset.metadata.debugImage, dataset.metadata.images.combined_debug, folderName);
                     }
                     
-                    // Create a clean version of the dataset without the image data URLs
-                    const cleanDataset = JSON.parse(JSON.stringify(dataset));
-                    if (cleanDataset.metadata.images) {
-                        cleanDataset.metadata.images = {
-                            view1: 'view1.jpg',
-                            view2: 'view2.jpg',
-                            debug: 'debug.jpg'
-                        };
+                    // Save depth maps and the dense correspondence, described in the metadata
+                    for (const file of await encodeDepthFiles(viewers, depthMaps, dataset.metadata)) {
+                        await saveFileToDirectory(file.name, file.content, folderName);
                     }
                     
                     // Save metadata
@@ -422,9 +597,23 @@ function exportDataset(
                         metadata: {
                             index: pairNum,
                             location: dataset.metadata.location,
+                            seed: dataset.metadata.seed,
+                            locationSource: dataset.metadata.locationSource,
+                            osm: dataset.metadata.osm,
+                            split: dataset.metadata.split,
                             timestamp: dataset.metadata.timestamp,
                             distance: dataset.metadata.distance,
-                            cameras: dataset.metadata.cameras,
+                            viewCount: dataset.metadata.viewCount,
+                            imageFormat: dataset.metadata.imageFormat,
+                            debugImage: dataset.metadata.debugImage,
+                            views: dataset.metadata.views,
+                            target: dataset.metadata.target,
+                            placement: dataset.metadata.placement,
+                            overlap: dataset.metadata.overlap,
+                            overlapDetails: dataset.metadata.overlapDetails,
+                            keypoints: dataset.metadata.keypoints,
+                            depth: dataset.metadata.depth,
+                            denseCorrespondence: dataset.metadata.denseCorrespondence,
                             virtualObjectInfo: dataset.virtualObjectInfo
                         },
                         matchingPoints: dataset.matchingPoints
@@ -439,12 +628,14 @@ function exportDataset(
                     await saveFileToDirectory('README.txt', 
                         `Pair ${pairNum}\n` + 
                         `GPS Coordinates: ${dataset.metadata.location}\n` +
+                        `Seed: ${dataset.metadata.seed}\n` +
+                        (dataset.metadata.split ? `Split: ${dataset.metadata.split.name} (cell ${dataset.metadata.split.cell})\n` : '') +
                         `Timestamp: ${dataset.metadata.timestamp}\n` +
-                        `Distance between cameras: ${dataset.metadata.distance}m\n` +
+                        `Distance between cameras 1 and 2: ${dataset.metadata.distance}m\n` +
                         `Files:\n` +
-                        `- view1.jpg: Clean image from first view (no markers or entities)\n` +
-                        `- view2.jpg: Clean image from second view (no markers or entities)\n` +
-                        `- debug.jpg: Combined side-by-side debug view with markers\n` +
+                        describeViewImages(dataset.metadata.views) +
+                        `- ${dataset.metadata.debugImage}: Combined side-by-side debug view with markers\n` +
+                        describeDepthFiles(dataset.metadata) +
                         `- metadata.json: Point correspondence and camera data\n`, 
                         folderName
                     );
@@ -499,6 +690,121 @@ function exportDataset(
     });
 }
 
+/**
+ * Save one frame of a sequence and describe its camera
+ * @param {Cesium.Viewer} viewer - Viewer the frame was rendered with
+ * @param {String} sequenceFolder - Folder of the sequence
+ * @param {Object} pose - Trajectory pose { index, time }
+ * @param {String} image - Frame image data URL
+ * @param {Cesium.Cartesian3} enuOrigin - Origin of the local ENU frame for camera extrinsics (the target)
+ * @param {Array<Object>} observations - Keypoint observations in this frame (see observeKeypoints)
+ * @returns {Promise<Object>} - Frame record for trajectory.json
+ */
+async function exportSequenceFrame(viewer, sequenceFolder, pose, image, enuOrigin, observations) {
+    const camera = viewer.camera;
+    const filename = `frame_${String(pose.index).padStart(3, '0')}.${getImageExtension()}`;
+    await saveFileToDirectory(filename, image, sequenceFolder);
+    
+    return {
+        index: pose.index,
+        time: pose.time,
+        image: filename,
+        camera: {
+            position: {
+                x: camera.position.x,
+                y: camera.position.y,
+                z: camera.position.z
+            },
+            heading: camera.heading,
+            pitch: camera.pitch,
+            roll: camera.roll,
+            intrinsics: computeIntrinsics(camera, viewer.canvas.width, viewer.canvas.height),
+            extrinsics: computeExtrinsics(camera, enuOrigin),
+            altitude: await getHeightAboveGround(camera.positionWC)
+        },
+        viewportDimensions: {
+            width: viewer.canvas.clientWidth,
+            height: viewer.canvas.clientHeight
+        },
+        imageSize: {
+            width: viewer.canvas.width,
+            height: viewer.canvas.height
+        },
+        observations
+    };
+}
+
+/**
+ * Save trajectory.json and a README for a captured sequence
+ * @param {String} sequenceFolder - Folder of the sequence
+ * @param {Object} sequenceInfo - Sequence information
+ * @param {Number} sequenceInfo.index - Sequence number (1-based)
+ * @param {Object} sequenceInfo.location - Target location (with seed, source, region, osm and split)
+ * @param {Object} sequenceInfo.trajectory - Result of generateTrajectory
+ * @param {Cesium.Cartesian3} sequenceInfo.target - Target (ENU origin of the extrinsics)
+ * @param {Array<Object>} sequenceInfo.keypoints - Shared keypoints { id, pointType, point3D }
+ * @param {Array<Object>} sequenceInfo.frames - Frame records from exportSequenceFrame
+ * @param {Object} sequenceInfo.appearance - Preset, environment, globe, fog and imagery adjustments of the drone view
+ * @param {Object} sequenceInfo.imagery - Imagery provider { id, type, label, date } of the drone view
+ * @returns {Promise<Object>} - Result of saveFileToDirectory for trajectory.json
+ */
+async function exportSequenceTrajectory(sequenceFolder, sequenceInfo) {
+    const { index, location, trajectory, target, keypoints, frames, appearance, imagery } = sequenceInfo;
+    const targetCartographic = Cesium.Cartographic.fromCartesian(target);
+    
+    const trajectoryData = {
+        metadata: {
+            index,
+            timestamp: new Date().toISOString(),
+            location: location.name,
+            seed: location.seed,
+            locationSource: {
+                type: location.source,
+                region: location.region
+            },
+            osm: location.osm,
+            split: location.split,
+            target: {
+                lat: Cesium.Math.toDegrees(targetCartographic.latitude),
+                lon: Cesium.Math.toDegrees(targetCartographic.longitude),
+                height: targetCartographic.height
+            },
+            path: trajectory.path,
+            parameters: trajectory.parameters,
+            fov: Cesium.Math.toDegrees(trajectory.fov),
+            frameCount: frames.length,
+            keypointMode: KEYPOINT_SETTINGS.mode,
+            appearance,
+            imagery
+        },
+        keypoints: keypoints.map(keypoint => ({
+            id: keypoint.id,
+            pointType: keypoint.pointType,
+            point3D: {
+                x: keypoint.point3D.x,
+                y: keypoint.point3D.y,
+                z: keypoint.point3D.z
+            }
+        })),
+        frames
+    };
+    
+    const result = await saveFileToDirectory('trajectory.json', JSON.stringify(trajectoryData, null, 2), sequenceFolder);
+    
+    await saveFileToDirectory('README.txt',
+        `Sequence ${index}\n` +
+        `GPS Coordinates: ${location.name}\n` +
+        `Seed: ${location.seed}\n` +
+        `Path: ${trajectory.path} (${frames.length} frames)\n` +
+        `Files:\n` +
+        `- frame_NNN.${getImageExtension()}: Clean frames along the flight path\n` +
+        `- trajectory.json: Camera pose of every frame and the shared keypoints observed in each frame\n`,
+        sequenceFolder
+    );
+    
+    return result;
+}
+
 /**
  * Exports the entire collection as a zip archive with images and JSON
  * @returns {Promise} - Promise resolving when export is complete
@@ -518,16 +824,15 @@ function exportDatasetCollection() {
                     description: "Drone view matching dataset collection"
                 },
                 datasets: datasetCollection.map((dataset, index) => {
-                    // Create a deep copy without the images
-                    const cleanDataset = JSON.parse(JSON.stringify(dataset));
+                    // Create a deep copy without the images and the depth files
+                    const cleanDataset = JSON.parse(JSON.stringify({ ...dataset, files: undefined }));
                     
                     // Replace image paths with references to the image files in the new folder structure
                     if (cleanDataset.metadata.images) {
                         const locationStr = dataset.metadata.location.replace(/[^0-9.,]/g, '');
                         cleanDataset.metadata.images = {
-                            view1: `images/pair_${index + 1}_${locationStr}/view1.jpg`,
-                            view2: `images/pair_${index + 1}_${locationStr}/view2.jpg`,
-                            debug: `images/pair_${index + 1}_${locationStr}/debug.jpg`
+                            views: dataset.metadata.views.map(view => `images/pair_${index + 1}_${locationStr}/${view.image}`),
+                            debug: `images/pair_${index + 1}_${locationStr}/${dataset.metadata.debugImage}`
                         };
                     }
                     
@@ -553,16 +858,15 @@ function exportDatasetCollection() {
                     const pairFolder = imagesFolder.folder(`pair_${index + 1}_${locationStr}`);
                     
                     // Add different image types based on what's available
-                    if (dataset.metadata.images.view1_clean) {
+                    if (dataset.metadata.images.clean) {
                         // New format with clean images + combined debug
-                        const clean1Data = dataset.metadata.images.view1_clean.split(',')[1];
-                        const clean2Data = dataset.metadata.images.view2_clean.split(',')[1];
                         const combinedDebugData = dataset.metadata.images.combined_debug.split(',')[1];
                         
                         // Add clean images and combined debug image to the pair folder
-                        pairFolder.file(`view1.jpg`, clean1Data, {base64: true});
-                        pairFolder.file(`view2.jpg`, clean2Data, {base64: true});
-                        pairFolder.file(`debug.jpg`, combinedDebugData, {base64: true});
+                        dataset.metadata.views.forEach((view, viewIndex) => {
+                            pairFolder.file(view.image, dataset.metadata.images.clean[viewIndex].split(',')[1], {base64: true});
+                        });
+                        pairFolder.file(dataset.metadata.debugImage, combinedDebugData, {base64: true});
                     } else {
                         // Legacy format with just view1/view2
                         const view1Data = dataset.metadata.images.view1.split(',')[1];
@@ -572,15 +876,32 @@ function exportDatasetCollection() {
                         pairFolder.file(`view1.jpg`, view1Data, {base64: true});
                         pairFolder.file(`view2.jpg`, view2Data, {base64: true});
                     }
+                    
+                    // Depth maps and dense correspondence
+                    (dataset.files || []).forEach(file => pairFolder.file(file.name, file.content));
                         
                         // Add a JSON file with pair metadata and points
                         const pairData = {
                             metadata: {
                                 index: index + 1,
                                 location: dataset.metadata.location,
+                                seed: dataset.metadata.seed,
+                                locationSource: dataset.metadata.locationSource,
+                                osm: dataset.metadata.osm,
+                                split: dataset.metadata.split,
                                 timestamp: dataset.metadata.timestamp,
                                 distance: dataset.metadata.distance,
-                                cameras: dataset.metadata.cameras,
+                                viewCount: dataset.metadata.viewCount,
+                                imageFormat: dataset.metadata.imageFormat,
+                                debugImage: dataset.metadata.debugImage,
+                                views: dataset.metadata.views,
+                                target: dataset.metadata.target,
+                                placement: dataset.metadata.placement,
+                                overlap: dataset.metadata.overlap,
+                                overlapDetails: dataset.metadata.overlapDetails,
+                                keypoints: dataset.metadata.keypoints,
+                                depth: dataset.metadata.depth,
+                                denseCorrespondence: dataset.metadata.denseCorrespondence,
                                 virtualObjectInfo: dataset.virtualObjectInfo
                             },
                             matchingPoints: dataset.matchingPoints
@@ -592,12 +913,13 @@ function exportDatasetCollection() {
                         pairFolder.file(`README.txt`, 
                             `Pair ${index + 1}\n` + 
                             `GPS Coordinates: ${dataset.metadata.location}\n` +
+                            `Seed: ${dataset.metadata.seed}\n` +
                             `Timestamp: ${dataset.metadata.timestamp}\n` +
-                            `Distance between cameras: ${dataset.metadata.distance}m\n` +
+                            `Distance between cameras 1 and 2: ${dataset.metadata.distance}m\n` +
                             `Files:\n` +
-                            `- view1.jpg: Clean image from first view (no markers or entities)\n` +
-                            `- view2.jpg: Clean image from second view (no markers or entities)\n` +
-                            `- debug.jpg: Combined side-by-side debug view with markers\n` +
+                            describeViewImages(dataset.metadata.views) +
+                            `- ${dataset.metadata.debugImage}: Combined side-by-side debug view with markers\n` +
+                            describeDepthFiles(dataset.metadata) +
                             `- metadata.json: Point correspondence and camera data\n`
                         );
                     } catch (error) {
@@ -606,6 +928,25 @@ function exportDatasetCollection() {
                 }
             });
             
+            // Split manifests listing the pair folders of each split
+            const splitFolders = {};
+            datasetCollection.forEach((dataset, index) => {
+                const split = dataset.metadata.split;
+                if (split && dataset.metadata.images) {
+                    const locationStr = dataset.metadata.location.replace(/[^0-9.,]/g, '');
+                    if (!splitFolders[split.name]) splitFolders[split.name] = [];
+                    splitFolders[split.name].push(`images/pair_${index + 1}_${locationStr}`);
+                }
+            });
+            Object.entries(splitFolders).forEach(([name, folders]) => {
+                zip.file(`${SPLIT_SETTINGS.manifestFolder}/${name}.txt`, folders.join('\n') + '\n');
+            });
+            
+            // Location sources and regions of the collected pairs
+            const sourceTypes = [...new Set(datasetCollection.map(dataset => dataset.metadata.locationSource?.type).filter(Boolean))];
+            const regions = [...new Set(datasetCollection.map(dataset => dataset.metadata.locationSource?.region).filter(Boolean))];
+            const toDegrees = radians => Math.round(Cesium.Math.toDegrees(radians));
+            
             // Add a detailed README file
             zip.file("README.txt", 
                 `Drone View Matching Dataset\n` +
@@ -614,18 +955,23 @@ function exportDatasetCollection() {
                 `Contents:\n` +
                 `- dataset.json: Contains all metadata and point correspondence information\n` +
                 `- images/: Contains folders for each image pair\n` +
+                (Object.keys(splitFolders).length > 0 ?
+                    `- ${SPLIT_SETTINGS.manifestFolder}/: train/val/test manifests listing the pair folders of each split\n` : '') +
                 `  - pair_N_[coordinates]: Folder for each pair with its GPS coordinates\n` +
-                `    - view1.jpg: Clean image from first camera perspective\n` +
-                `    - view2.jpg: Clean image from second camera perspective\n` +
-                `    - debug.jpg: Combined debug view with visible markers\n` +
+                `    - view1.${getImageExtension()}, view2.${getImageExtension()}, ...: Clean image from each camera perspective\n` +
+                `    - debug.${getImageExtension()}: Combined debug view with visible markers\n` +
                 `    - metadata.json: Camera positions and point correspondence data\n\n` +
-                `Each pair contains a 3D point projected onto both views, with clean images\n` +
+                `Each pair contains 3D points projected onto all views, with clean images\n` +
                 `having no visible markers, and the debug image showing the matched point.\n\n` +
                 `Dataset Structure:\n` +
-                `- Points are placed at real geographic coordinates in Ukraine\n` +
+                `- Points are placed at real geographic coordinates` +
+                (sourceTypes.length > 0 ? ` from the ${sourceTypes.join(', ')} location source` : '') +
+                (regions.length > 0 ? ` (${regions.join(', ')})` : '') + `\n` +
                 `- Camera positions simulate drone flights at different altitudes and angles\n` +
-                `- Camera distance ranges from 100-400m\n` +
-                `- Images are captured with different viewing angles of 30-120 degrees apart\n`
+                `- Camera heights range from ${DRONE_PARAMS.heightRange[0]}-${DRONE_PARAMS.heightRange[1]}m above the ground, ` +
+                `horizontal distances from ${DRONE_PARAMS.distanceRange[0]}-${DRONE_PARAMS.distanceRange[1]}m to the target\n` +
+                `- Images are captured with different viewing angles of ${toDegrees(DRONE_PARAMS.minAngleDiff)}-${toDegrees(DRONE_PARAMS.maxAngleDiff)} degrees apart\n` +
+                `- Each pair's metadata.json records its location source and realised camera placement\n`
             );
             
             // Generate the zip file
@@ -672,16 +1018,14 @@ function getDatasetCollectionSize() {
 }
 
 /**
- * Create a single combined image from two images for debug view
- * @param {String} image1 - First image data URL
- * @param {String} image2 - Second image data URL
+ * Create a single combined image from the images of all views for debug view
+ * @param {Array<String>} images - Image data URLs, view1 first
  * @returns {Promise<String>} - Promise resolving to the combined image data URL
  */
-function createCombinedImage(image1, image2) {
+function createCombinedImage(images) {
     return new Promise((resolve, reject) => {
-        // Create two image elements to load the data URLs
-        const img1 = new Image();
-        const img2 = new Image();
+        // Create an image element per view to load the data URLs
+        const elements = images.map(() => new Image());
         
         // Count loaded images
         let loadedCount = 0;
@@ -690,14 +1034,14 @@ function createCombinedImage(image1, image2) {
         function handleImageLoad() {
             loadedCount++;
             
-            // Once both images are loaded, combine them
-            if (loadedCount === 2) {
+            // Once all images are loaded, combine them
+            if (loadedCount === elements.length) {
                 // Create a canvas for the combined image
                 const canvas = document.createElement('canvas');
                 
                 // Use the sum of the widths and the max height
-                canvas.width = img1.width + img2.width;
-                canvas.height = Math.max(img1.height, img2.height);
+                canvas.width = elements.reduce((sum, img) => sum + img.width, 0);
+                canvas.height = Math.max(...elements.map(img => img.height));
                 
                 // Get the context for drawing
                 const ctx = canvas.getContext('2d');
@@ -706,26 +1050,30 @@ function createCombinedImage(image1, image2) {
                 ctx.fillStyle = 'black';
                 ctx.fillRect(0, 0, canvas.width, canvas.height);
                 
-                // Draw the images side by side
-                ctx.drawImage(img1, 0, 0);
-                ctx.drawImage(img2, img1.width, 0);
-                
-                // Add a dividing line
-                ctx.beginPath();
-                ctx.moveTo(img1.width, 0);
-                ctx.lineTo(img1.width, canvas.height);
-                ctx.strokeStyle = 'white';
-                ctx.lineWidth = 2;
-                ctx.stroke();
-                
-                // Add labels
                 ctx.font = '20px Arial';
-                ctx.fillStyle = 'white';
-                ctx.fillText('View 1', 10, 30);
-                ctx.fillText('View 2', img1.width + 10, 30);
+                let x = 0;
+                elements.forEach((img, index) => {
+                    // Draw the images side by side
+                    ctx.drawImage(img, x, 0);
+                    
+                    // Add a dividing line before every image but the first
+                    if (index > 0) {
+                        ctx.beginPath();
+                        ctx.moveTo(x, 0);
+                        ctx.lineTo(x, canvas.height);
+                        ctx.strokeStyle = 'white';
+                        ctx.lineWidth = 2;
+                        ctx.stroke();
+                    }
+                    
+                    // Add labels
+                    ctx.fillStyle = 'white';
+                    ctx.fillText(`View ${index + 1}`, x + 10, 30);
+                    x += img.width;
+                });
                 
                 // Get the data URL and resolve the promise
-                resolve(canvas.toDataURL('image/jpeg', 0.9));
+                resolve(encodeCanvasImage(canvas, IMAGE_FORMAT.debugQuality));
             }
         }
         
@@ -734,15 +1082,12 @@ function createCombinedImage(image1, image2) {
             reject(new Error('Failed to load images for combining'));
         }
         
-        // Set up event handlers
-        img1.onload = handleImageLoad;
-        img1.onerror = handleError;
-        img2.onload = handleImageLoad;
-        img2.onerror = handleError;
-        
-        // Set the sources to start loading
-        img1.src = image1;
-        img2.src = image2;
+        // Set up event handlers and the sources to start loading
+        elements.forEach((img, index) => {
+            img.onload = handleImageLoad;
+            img.onerror = handleError;
+            img.src = images[index];
+        });
     });
 }
 
@@ -755,5 +1100,11 @@ export {
     createCombinedImage,
     requestDirectoryAccess,
     ensureDirectoryAccess,
-    isFileSystemAccessSupported
+    isFileSystemAccessSupported,
+    exportSequenceFrame,
+    exportSequenceTrajectory,
+    readDirectoryText,
+    writeDirectoryText,
+    readDirectoryJson,
+    writeDirectoryJson
 };
\ No newline at end of file
@@ -237,10 +237,15 @@ async function loadPairData(folderHandle) {
         };
     }
     
+    // Image names are listed in metadata.json (older pairs are always JPEG)
+    const pairMetadata = pairData.metadata.metadata || {};
+    const views = pairMetadata.views || [{ image: 'view1.jpg' }, { image: 'view2.jpg' }];
+    const debugImage = pairMetadata.debugImage || 'debug.jpg';
+    
     // Get image file handles
     try {
-        const view1File = await folderHandle.getFileHandle('view1.jpg');
-        const view2File = await folderHandle.getFileHandle('view2.jpg');
+        const view1File = await folderHandle.getFileHandle(views[0].image);
+        const view2File = await folderHandle.getFileHandle(views[1].image);
         
         // Create object URLs for the images
         pairData.view1Url = URL.createObjectURL(await view1File.getFile());
@@ -248,7 +253,7 @@ async function loadPairData(folderHandle) {
         
         // Try to get debug image if available
         try {
-            const debugFile = await folderHandle.getFileHandle('debug.jpg');
+            const debugFile = await folderHandle.getFileHandle(debugImage);
             pairData.debugUrl = URL.createObjectURL(await debugFile.getFile());
         } catch (e) {
             // Debug image is optional
@@ -0,0 +1,137 @@
+/**
+ * Dense correspondence (warp field) between the two views from view1 depth
+ */
+
+import { FLOW_SETTINGS } from './config.js';
+
+// Mask values for each view1 sample
+const MASK_VALUES = {
+    INVALID: 0,     // No depth in view1, or projects behind / outside view2
+    VISIBLE: 1,     // Covisible: the view2 depth agrees with the reprojected point
+    OCCLUDED: 2     // Inside view2 but hidden behind other geometry
+};
+
+/**
+ * Compute the warp field from view1 pixels to view2 pixels
+ * Each valid view1 depth sample is lifted to a 3D point, projected into view2 and
+ * checked against the view2 depth map to flag occlusions
+ * @param {Cesium.Viewer} viewer1 - Source viewer
+ * @param {Cesium.Viewer} viewer2 - Target viewer
+ * @param {Object} depthMap1 - View1 depth map from captureDepthMap
+ * @param {Object} depthMap2 - View2 depth map from captureDepthMap
+ * @returns {Object} - { width, height, step, coordinates, mask, stats }
+ */
+function computeDenseCorrespondence(viewer1, viewer2, depthMap1, depthMap2) {
+    const startTime = Date.now();
+    const { width, height, step } = depthMap1;
+
+    const camera1 = viewer1.camera;
+    const camera2 = viewer2.camera;
+    const pixelRatio1 = viewer1.canvas.width / viewer1.canvas.clientWidth;
+    const pixelRatio2 = viewer2.canvas.width / viewer2.canvas.clientWidth;
+    const imageWidth2 = viewer2.canvas.width;
+    const imageHeight2 = viewer2.canvas.height;
+
+    // Target pixel (x2, y2) per sample, NaN where invalid
+    const coordinates = new Float32Array(width * height * 2).fill(NaN);
+    const mask = new Uint8Array(width * height);
+    const stats = { visible: 0, occluded: 0, invalid: 0 };
+
+    const windowPosition = new Cesium.Cartesian2();
+    const ray = new Cesium.Ray();
+    const point = new Cesium.Cartesian3();
+    const offset = new Cesium.Cartesian3();
+
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            const index = v * width + u;
+            const depth1 = depthMap1.data[index];
+            if (!(depth1 > 0)) {
+                stats.invalid++;
+                continue;
+            }
+
+            // Lift the sample to 3D: walk along the pixel ray until the z-depth matches
+            windowPosition.x = (u + 0.5) * step / pixelRatio1;
+            windowPosition.y = (v + 0.5) * step / pixelRatio1;
+            camera1.getPickRay(windowPosition, ray);
+            const rayLength = depth1 / Cesium.Cartesian3.dot(ray.direction, camera1.directionWC);
+            Cesium.Ray.getPoint(ray, rayLength, point);
+
+            // The point must be in front of camera2
+            Cesium.Cartesian3.subtract(point, camera2.positionWC, offset);
+            const depth2 = Cesium.Cartesian3.dot(offset, camera2.directionWC);
+            const projected = depth2 > 0 ?
+                Cesium.SceneTransforms.wgs84ToWindowCoordinates(viewer2.scene, point) : undefined;
+            if (!projected) {
+                stats.invalid++;
+                continue;
+            }
+
+            const x2 = projected.x * pixelRatio2;
+            const y2 = projected.y * pixelRatio2;
+            if (x2 < 0 || x2 >= imageWidth2 || y2 < 0 || y2 >= imageHeight2) {
+                stats.invalid++;
+                continue;
+            }
+
+            coordinates[index * 2] = x2;
+            coordinates[index * 2 + 1] = y2;
+
+            // Compare with the rendered view2 depth at the nearest sample
+            const u2 = Math.min(depthMap2.width - 1, Math.floor(x2 / depthMap2.step));
+            const v2 = Math.min(depthMap2.height - 1, Math.floor(y2 / depthMap2.step));
+            const renderedDepth2 = depthMap2.data[v2 * depthMap2.width + u2];
+            const tolerance = FLOW_SETTINGS.depthTolerance + FLOW_SETTINGS.relativeDepthTolerance * depth2;
+
+            if (renderedDepth2 > 0 && Math.abs(renderedDepth2 - depth2) <= tolerance) {
+                mask[index] = MASK_VALUES.VISIBLE;
+                stats.visible++;
+            } else {
+                mask[index] = MASK_VALUES.OCCLUDED;
+                stats.occluded++;
+            }
+        }
+    }
+
+    stats.visibleFraction = stats.visible / (width * height);
+    console.log(`Dense correspondence computed in ${Date.now() - startTime}ms:`, stats);
+
+    return { width, height, step, coordinates, mask, stats };
+}
+
+/**
+ * Describe the correspondence encoding for metadata.json
+ * @param {Object} correspondence - Result of computeDenseCorrespondence
+ * @param {Object} files - Saved file names { flow, mask }
+ * @returns {Object} - Encoding description
+ */
+function describeDenseCorrespondence(correspondence, files) {
+    return {
+        direction: 'view1 -> view2',
+        flowFile: files.flow,
+        maskFile: files.mask,
+        width: correspondence.width,
+        height: correspondence.height,
+        step: correspondence.step,
+        flowEncoding: 'float32 [height, width, 2]: (x2, y2) view2 image pixel for each view1 sample, NaN where invalid',
+        pixelMapping: 'sample [v][u] is view1 image pixel ((u + 0.5) * step, (v + 0.5) * step)',
+        maskEncoding: 'uint8 [height, width]',
+        maskValues: {
+            [MASK_VALUES.INVALID]: 'invalid (no depth, behind or outside view2)',
+            [MASK_VALUES.VISIBLE]: 'visible in both views',
+            [MASK_VALUES.OCCLUDED]: 'occluded in view2'
+        },
+        depthTolerance: {
+            absolute: FLOW_SETTINGS.depthTolerance,
+            relative: FLOW_SETTINGS.relativeDepthTolerance
+        },
+        stats: correspondence.stats
+    };
+}
+
+export {
+    MASK_VALUES,
+    computeDenseCorrespondence,
+    describeDenseCorrespondence
+};
@@ -0,0 +1,129 @@
+/**
+ * Dense depth map capture from the Cesium depth buffer
+ */
+
+import { DEPTH_SETTINGS } from './config.js';
+import { encodeNpy, encodePng16 } from './encoders.js';
+
+/**
+ * Read back a z-depth map for the current view of a viewer
+ * Depth is sampled with scene.pickPosition on a grid of `step` image pixels, so the
+ * scene must already be rendered the way it will be captured (entities hidden)
+ * @param {Cesium.Viewer} viewer - The Cesium viewer
+ * @param {Number} step - Grid spacing in image pixels (1 = full resolution, slow)
+ * @returns {Object|null} - Depth map { width, height, step, data } or null if depth picking is unsupported
+ */
+function captureDepthMap(viewer, step = DEPTH_SETTINGS.step) {
+    const scene = viewer.scene;
+    if (!scene.pickPositionSupported) {
+        console.warn("Depth picking is not supported by this browser - skipping depth map");
+        return null;
+    }
+
+    const canvas = viewer.canvas;
+    const camera = viewer.camera;
+
+    // pickPosition works in CSS pixels, the saved image in drawing buffer pixels
+    const pixelRatio = canvas.width / canvas.clientWidth;
+    const width = Math.floor(canvas.width / step);
+    const height = Math.floor(canvas.height / step);
+    const data = new Float32Array(width * height);
+
+    // Make sure the depth buffer matches the current camera
+    scene.render();
+
+    const startTime = Date.now();
+    const windowPosition = new Cesium.Cartesian2();
+    const worldPosition = new Cesium.Cartesian3();
+    const offset = new Cesium.Cartesian3();
+    let validCount = 0;
+
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            windowPosition.x = (u + 0.5) * step / pixelRatio;
+            windowPosition.y = (v + 0.5) * step / pixelRatio;
+
+            // Undefined where nothing is rendered (sky)
+            const picked = scene.pickPosition(windowPosition, worldPosition);
+            if (!picked) continue;
+
+            // Distance along the optical axis (z-depth), not the ray length
+            Cesium.Cartesian3.subtract(picked, camera.positionWC, offset);
+            const depth = Cesium.Cartesian3.dot(offset, camera.directionWC);
+            if (depth > 0) {
+                data[v * width + u] = depth;
+                validCount++;
+            }
+        }
+    }
+
+    console.log(`Depth map captured: ${width}x${height}, ${validCount} valid samples in ${Date.now() - startTime}ms`);
+
+    return { width, height, step, data };
+}
+
+/**
+ * Encode a depth map in the configured file format
+ * @param {Object} depthMap - Depth map from captureDepthMap
+ * @param {String} format - 'npy' (float32 metres) or 'png16' (16-bit PNG, value = depth * png16Scale)
+ * @returns {Promise<Blob>} - Encoded file contents
+ */
+async function encodeDepthMap(depthMap, format = DEPTH_SETTINGS.format) {
+    if (format === 'png16') {
+        const scaled = new Uint16Array(depthMap.data.length);
+        for (let i = 0; i < depthMap.data.length; i++) {
+            // Clamp to the 16-bit range; 0 stays reserved for invalid samples
+            scaled[i] = Math.min(65535, Math.round(depthMap.data[i] * DEPTH_SETTINGS.png16Scale));
+        }
+        return encodePng16(scaled, depthMap.width, depthMap.height);
+    }
+
+    return encodeNpy(depthMap.data, [depthMap.height, depthMap.width]);
+}
+
+/**
+ * Get the file extension for the configured depth format
+ * @param {String} format - Depth file format
+ * @returns {String} - File extension without the dot
+ */
+function getDepthFileExtension(format = DEPTH_SETTINGS.format) {
+    return format === 'png16' ? 'png' : 'npy';
+}
+
+/**
+ * Describe the depth encoding for metadata.json
+ * @param {Object} depthMaps - Depth maps keyed by view name
+ * @param {Object} files - Saved file names keyed by view name
+ * @param {String} format - Depth file format
+ * @returns {Object} - Depth encoding description
+ */
+function describeDepthEncoding(depthMaps, files, format = DEPTH_SETTINGS.format) {
+    const views = {};
+    Object.entries(depthMaps).forEach(([view, depthMap]) => {
+        views[view] = {
+            file: files[view],
+            width: depthMap.width,
+            height: depthMap.height,
+            step: depthMap.step
+        };
+    });
+
+    return {
+        type: 'z-depth along the camera optical axis',
+        units: 'meters',
+        format,
+        dtype: format === 'png16' ? 'uint16' : 'float32',
+        scale: format === 'png16' ? DEPTH_SETTINGS.png16Scale : 1,
+        decode: format === 'png16' ? 'depth_m = value / scale' : 'depth_m = value',
+        invalidValue: 0,
+        pixelMapping: 'depth[v][u] is sampled at image pixel ((u + 0.5) * step, (v + 0.5) * step)',
+        views
+    };
+}
+
+export {
+    captureDepthMap,
+    encodeDepthMap,
+    getDepthFileExtension,
+    describeDepthEncoding
+};
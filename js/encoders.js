@@ -0,0 +1,195 @@
+/**
+ * Binary encoders for dense per-pixel data (depth maps, flow fields, masks) and saved images
+ */
+
+import { IMAGE_FORMAT } from './config.js';
+
+// NumPy dtype descriptors for the typed arrays we export
+const NPY_DTYPES = {
+    Float32Array: '<f4',
+    Uint16Array: '<u2',
+    Uint8Array: '|u1'
+};
+
+// Canvas MIME type and file extension of each IMAGE_FORMAT.type
+const IMAGE_TYPES = {
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    png: { mimeType: 'image/png', extension: 'png' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+/**
+ * Encode a typed array as a NumPy .npy file (format version 1.0)
+ * @param {Float32Array|Uint16Array|Uint8Array} data - Row-major array data
+ * @param {Array<Number>} shape - Array shape, e.g. [height, width] or [height, width, 2]
+ * @returns {Blob} - The .npy file contents
+ */
+function encodeNpy(data, shape) {
+    const descr = NPY_DTYPES[data.constructor.name];
+    if (!descr) {
+        throw new Error(`Unsupported array type for .npy export: ${data.constructor.name}`);
+    }
+
+    // Header dict, padded with spaces so that data starts at a multiple of 64 bytes
+    const shapeStr = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeStr}, }`;
+    const preambleLength = 10; // magic (6) + version (2) + header length (2)
+    const padding = 64 - ((preambleLength + header.length + 1) % 64);
+    header += ' '.repeat(padding % 64) + '\n';
+
+    const preamble = new Uint8Array(preambleLength);
+    preamble.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+    new DataView(preamble.buffer).setUint16(8, header.length, true);
+
+    // Typed arrays use the platform byte order, which is little-endian in every browser we target
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Blob([preamble, new TextEncoder().encode(header), bytes], {
+        type: 'application/octet-stream'
+    });
+}
+
+// CRC-32 lookup table for PNG chunks
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a byte array (as used by PNG)
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Number} - Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ * @param {String} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} - Encoded chunk
+ */
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encode 16-bit grayscale values as a lossless PNG
+ * Canvas can only produce 8-bit images, so the PNG is assembled by hand and
+ * compressed with the browser's CompressionStream (zlib 'deflate' format)
+ * @param {Uint16Array} data - Row-major pixel values
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @returns {Promise<Blob>} - The PNG file contents
+ */
+async function encodePng16(data, width, height) {
+    // Raw scanlines: filter type 0 followed by big-endian 16-bit samples
+    const rowLength = 1 + width * 2;
+    const raw = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * rowLength;
+        raw[rowStart] = 0;
+        for (let x = 0; x < width; x++) {
+            const value = data[y * width + x];
+            raw[rowStart + 1 + x * 2] = value >>> 8;
+            raw[rowStart + 2 + x * 2] = value & 0xFF;
+        }
+    }
+
+    const compressed = new Uint8Array(
+        await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+    );
+
+    // IHDR: width, height, bit depth 16, color type 0 (grayscale), default compression/filter/interlace
+    const ihdr = new Uint8Array(13);
+    const ihdrView = new DataView(ihdr.buffer);
+    ihdrView.setUint32(0, width);
+    ihdrView.setUint32(4, height);
+    ihdr[8] = 16;
+    ihdr[9] = 0;
+
+    const signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    return new Blob([
+        signature,
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', compressed),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+/**
+ * Get the MIME type and file extension of an image format
+ * @param {Object} format - Image format (default: IMAGE_FORMAT)
+ * @returns {Object} - { mimeType, extension }
+ */
+function getImageType(format = IMAGE_FORMAT) {
+    const imageType = IMAGE_TYPES[format.type];
+    if (!imageType) {
+        throw new Error(`Unknown image format "${format.type}" - expected ${Object.keys(IMAGE_TYPES).join(', ')}`);
+    }
+    return imageType;
+}
+
+/**
+ * Get the file extension of saved images
+ * @param {Object} format - Image format (default: IMAGE_FORMAT)
+ * @returns {String} - Extension without the dot
+ */
+function getImageExtension(format = IMAGE_FORMAT) {
+    return getImageType(format).extension;
+}
+
+/**
+ * Check whether the browser can encode canvases in an image format
+ * Browsers fall back to PNG for types they cannot encode (e.g. WebP in Safari)
+ * @param {Object} format - Image format (default: IMAGE_FORMAT)
+ * @returns {Boolean} - True if toDataURL produces the requested type
+ */
+function isImageFormatSupported(format = IMAGE_FORMAT) {
+    const { mimeType } = getImageType(format);
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    return canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+}
+
+/**
+ * Encode a canvas as a data URL in the saved image format
+ * The canvas must hold the frame, i.e. a WebGL canvas right after rendering
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {Number} quality - JPEG / WebP quality (default: IMAGE_FORMAT.quality)
+ * @param {Object} format - Image format (default: IMAGE_FORMAT)
+ * @returns {String} - Image data URL
+ */
+function encodeCanvasImage(canvas, quality = IMAGE_FORMAT.quality, format = IMAGE_FORMAT) {
+    // PNG ignores the quality argument
+    return canvas.toDataURL(getImageType(format).mimeType, quality);
+}
+
+export {
+    encodeNpy,
+    encodePng16,
+    getImageExtension,
+    isImageFormatSupported,
+    encodeCanvasImage
+};
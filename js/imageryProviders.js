@@ -0,0 +1,146 @@
+/**
+ * Imagery provider registry and per-pair imagery pairing
+ *
+ * Every view is rendered with one provider of IMAGERY_PROVIDERS, picked per pair by the
+ * IMAGERY_PAIRING policy. Pairing different sources (or dates) gives cross-source matching pairs;
+ * the provider of each view is recorded in metadata.json
+ */
+
+import { IMAGERY_PROVIDERS, IMAGERY_PAIRING, OFFLINE_SETTINGS } from './config.js';
+import { createOfflineImageryProvider, createLocalImageryProvider } from './offline.js';
+
+const BING_MAPS_URL = 'https://dev.virtualearth.net';
+
+/**
+ * Get the settings of a registered provider
+ * @param {String} providerId - Key of IMAGERY_PROVIDERS
+ * @returns {Object} - Provider settings
+ */
+function getProviderSettings(providerId) {
+    const provider = IMAGERY_PROVIDERS[providerId];
+    if (!provider) {
+        throw new Error(`Unknown imagery provider "${providerId}" - expected ${Object.keys(IMAGERY_PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random function
+ * @returns {Array} - Shuffled copy
+ */
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+const PAIRING_POLICIES = {
+    fixed: viewNames => viewNames.map(viewName =>
+        viewName in IMAGERY_PAIRING.views ? IMAGERY_PAIRING.views[viewName] : IMAGERY_PAIRING.views.view2),
+    random: (viewNames, random) => viewNames.map(() =>
+        IMAGERY_PAIRING.pool[Math.floor(random() * IMAGERY_PAIRING.pool.length)]),
+    crossSource: (viewNames, random) => {
+        if (IMAGERY_PAIRING.pool.length < viewNames.length) {
+            throw new Error(`IMAGERY_PAIRING.pool needs at least ${viewNames.length} providers for 'crossSource' (got ${IMAGERY_PAIRING.pool.length})`);
+        }
+        return shuffle(IMAGERY_PAIRING.pool, random).slice(0, viewNames.length);
+    },
+    sameSource: (viewNames, random) => {
+        const providerId = IMAGERY_PAIRING.pool[Math.floor(random() * IMAGERY_PAIRING.pool.length)];
+        return viewNames.map(() => providerId);
+    }
+};
+
+/**
+ * Pick the imagery provider of every view of a pair
+ * @param {Array<String>} viewNames - View names (view1, view2, ...)
+ * @param {Function} random - Random function (usually the 'imagery' stream of the pair seed)
+ * @returns {Array<String|null>} - Provider id per view (null in offline mode, where views use their local tiles)
+ */
+function chooseImageryProviders(viewNames, random) {
+    if (OFFLINE_SETTINGS.enabled) return viewNames.map(() => null);
+
+    const policy = PAIRING_POLICIES[IMAGERY_PAIRING.policy];
+    if (!policy) {
+        throw new Error(`Unknown imagery pairing policy "${IMAGERY_PAIRING.policy}" - expected ${Object.keys(PAIRING_POLICIES).join(', ')}`);
+    }
+    if (IMAGERY_PAIRING.policy !== 'fixed' && IMAGERY_PAIRING.pool.length === 0) {
+        throw new Error("IMAGERY_PAIRING.pool must contain at least one provider");
+    }
+
+    const providerIds = policy(viewNames, random);
+    providerIds.forEach(getProviderSettings);
+    return providerIds;
+}
+
+const LAYER_FACTORIES = {
+    ion: provider => Cesium.ImageryLayer.fromProviderAsync(
+        Cesium.IonImageryProvider.fromAssetId(provider.assetId)),
+    bing: (provider, providerId) => {
+        if (!provider.key) {
+            throw new Error(`Imagery provider "${providerId}" needs a Bing Maps key`);
+        }
+        return Cesium.ImageryLayer.fromProviderAsync(
+            Cesium.BingMapsImageryProvider.fromUrl(BING_MAPS_URL, { key: provider.key, mapStyle: provider.mapStyle }));
+    },
+    arcgis: provider => Cesium.ImageryLayer.fromProviderAsync(
+        Cesium.ArcGisMapServerImageryProvider.fromUrl(provider.url, { enablePickFeatures: false })),
+    urlTemplate: provider => new Cesium.ImageryLayer(new Cesium.UrlTemplateImageryProvider({
+        url: provider.url,
+        minimumLevel: provider.minimumLevel,
+        maximumLevel: provider.maximumLevel,
+        credit: provider.credit
+    })),
+    local: provider => new Cesium.ImageryLayer(createLocalImageryProvider(provider))
+};
+
+/**
+ * Create the imagery layer of a view
+ * @param {String|null} providerId - Provider id from chooseImageryProviders
+ * @param {String} viewName - View name, selecting the local tiles in offline mode
+ * @returns {Cesium.ImageryLayer} - The imagery layer (async providers fill it in once ready)
+ */
+function createImageryLayer(providerId, viewName) {
+    if (OFFLINE_SETTINGS.enabled) {
+        return new Cesium.ImageryLayer(createOfflineImageryProvider(viewName));
+    }
+
+    const provider = getProviderSettings(providerId);
+    const createLayer = LAYER_FACTORIES[provider.type];
+    if (!createLayer) {
+        throw new Error(`Unknown type "${provider.type}" of imagery provider "${providerId}" - expected ${Object.keys(LAYER_FACTORIES).join(', ')}`);
+    }
+    return createLayer(provider, providerId);
+}
+
+/**
+ * Describe the imagery of a view for metadata.json
+ * @param {String|null} providerId - Provider id from chooseImageryProviders
+ * @param {String} viewName - View name
+ * @returns {Object} - { id, type, label, date } ('offline' with the tile path in offline mode)
+ */
+function describeImagery(providerId, viewName) {
+    if (OFFLINE_SETTINGS.enabled) {
+        const imagery = OFFLINE_SETTINGS.imagery[viewName] || OFFLINE_SETTINGS.imagery.view2;
+        return { id: 'offline', type: 'local', label: imagery.credit, path: imagery.path, date: null };
+    }
+
+    const provider = getProviderSettings(providerId);
+    return {
+        id: providerId,
+        type: provider.type,
+        label: provider.label,
+        date: provider.date || null
+    };
+}
+
+export {
+    chooseImageryProviders,
+    createImageryLayer,
+    describeImagery
+};
@@ -0,0 +1,277 @@
+/**
+ * Keypoints sampled on the rendered surface (alternative to the virtual object square)
+ * and depth-based occlusion tests for matching points
+ */
+
+import { KEYPOINT_SETTINGS, MATCH_CRITERIA } from './config.js';
+import { checkDepthConsistency } from './utils.js';
+
+/**
+ * Run a function while the entities of the given viewers are hidden
+ * pickPosition reads the depth buffer, and the marker entities would otherwise be picked
+ * @param {Array<Cesium.Viewer>} viewers - Viewers whose entities should be hidden
+ * @param {Function} callback - Function to run with only terrain and imagery rendered
+ * @returns {*} - The callback result
+ */
+function withEntitiesHidden(viewers, callback) {
+    const entitiesShown = viewers.map(viewer => viewer.entities.show);
+    viewers.forEach(viewer => {
+        viewer.entities.show = false;
+        viewer.scene.render();
+    });
+
+    try {
+        return callback();
+    } finally {
+        viewers.forEach((viewer, index) => {
+            viewer.entities.show = entitiesShown[index];
+            viewer.scene.render();
+        });
+    }
+}
+
+/**
+ * Pick keypoints on the rendered surface of view1 and find them in the other views
+ * Random view1 pixels are resolved to world points with pickPosition, reprojected into
+ * every other view and kept only if the depth at each reprojected pixel agrees (not occluded)
+ * Entities are hidden while picking so that only terrain and imagery are hit
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers, view1 first
+ * @param {Function} random - Random function (usually the 'keypoints' stream of the pair seed)
+ * @param {Object} settings - Keypoint settings (default: KEYPOINT_SETTINGS)
+ * @returns {Object} - { matchingPoints, stats } with points in the matchingPoints format
+ */
+function sampleSurfaceKeypoints(viewers, random, settings = KEYPOINT_SETTINGS) {
+    const [viewer1, ...otherViewers] = viewers;
+    const stats = { attempts: 0, noSurface: 0, outsideOtherView: 0, depthMismatch: 0, accepted: 0 };
+
+    if (!viewers.every(viewer => viewer.scene.pickPositionSupported)) {
+        console.warn("Depth picking is not supported by this browser - no surface keypoints");
+        return { matchingPoints: [], stats };
+    }
+
+    // Keypoint window coordinates are in CSS pixels like the virtual object projections
+    const width1 = viewer1.canvas.clientWidth;
+    const height1 = viewer1.canvas.clientHeight;
+    const margin = settings.marginPercent / 100;
+
+    const matchingPoints = [];
+
+    // Hide markers so pickPosition only sees terrain and imagery
+    withEntitiesHidden(viewers, () => {
+        // Pixels are picked in view1 and tested in the other views in batches, one view at a time
+        // (a shared viewer renders the views in turn). A batch never exceeds the keypoints still
+        // needed, so the result is the same as testing the pixels one by one
+        while (matchingPoints.length < settings.count && stats.attempts < settings.maxAttempts) {
+            const batchSize = Math.min(settings.count - matchingPoints.length, settings.maxAttempts - stats.attempts);
+            const scene1 = viewer1.scene;
+            const candidates = [];
+
+            for (let i = 0; i < batchSize; i++) {
+                stats.attempts++;
+
+                // Random pixel inside the view1 margins
+                const view1Pos = new Cesium.Cartesian2(
+                    width1 * (margin + random() * (1 - 2 * margin)),
+                    height1 * (margin + random() * (1 - 2 * margin))
+                );
+
+                // Undefined where nothing is rendered (sky)
+                const point3D = scene1.pickPosition(view1Pos);
+                if (!point3D) {
+                    stats.noSurface++;
+                    continue;
+                }
+
+                candidates.push({ view1Pos, point3D, checks: [] });
+            }
+
+            otherViewers.forEach(viewer => {
+                const scene = viewer.scene;
+                candidates.forEach(candidate => {
+                    candidate.checks.push(checkDepthConsistency(
+                        scene,
+                        candidate.point3D,
+                        settings.depthTolerance,
+                        settings.relativeDepthTolerance
+                    ));
+                });
+            });
+
+            candidates.forEach(({ view1Pos, point3D, checks }) => {
+                const isOutside = checks.some((check, index) => {
+                    const position = check.windowPosition;
+                    const width = otherViewers[index].canvas.clientWidth;
+                    const height = otherViewers[index].canvas.clientHeight;
+                    return !position ||
+                        position.x < width * margin || position.x > width * (1 - margin) ||
+                        position.y < height * margin || position.y > height * (1 - margin);
+                });
+                if (isOutside) {
+                    stats.outsideOtherView++;
+                    return;
+                }
+
+                if (!checks.every(check => check.isConsistent)) {
+                    stats.depthMismatch++;
+                    return;
+                }
+
+                const view2Pos = checks[0].windowPosition;
+                const depthCheck = {};
+                checks.forEach((check, index) => {
+                    depthCheck[`view${index + 2}`] = {
+                        expectedDepth: check.expectedDepth,
+                        renderedDepth: check.renderedDepth
+                    };
+                });
+
+                matchingPoints.push({
+                    point3D,
+                    pointType: 'surface',
+                    viewPositions: [view1Pos, ...checks.map(check => check.windowPosition)],
+                    view1Pos,
+                    // Adjust for the split screen layout like the virtual object points
+                    view2Pos: {
+                        x: view2Pos.x + width1,
+                        y: view2Pos.y
+                    },
+                    isCorrect: true,
+                    isForcedMatch: false,
+                    depthCheck
+                });
+                stats.accepted++;
+            });
+        }
+    });
+
+    console.log(`Surface keypoints: ${stats.accepted}/${settings.count} accepted after ${stats.attempts} attempts`, stats);
+
+    return { matchingPoints, stats };
+}
+
+/**
+ * Flag matching points that are hidden behind rendered geometry in any view
+ * Only terrain is rendered, so buildings in the imagery never occlude a point
+ * The depth of each point is compared with the rendered depth at its projected pixel;
+ * a point with a closer surface in front of it is occluded and no longer a correct match
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers, view1 first
+ * @param {Array} matchingPoints - Matching points (updated in place with isOccluded per view name)
+ * @param {Number} tolerance - Depth tolerance in meters (default: MATCH_CRITERIA.visibilityThreshold)
+ * @returns {Object} - Occlusion counts { view1, view2, ..., either }
+ */
+function updateOcclusionFlags(viewers, matchingPoints, tolerance = MATCH_CRITERIA.visibilityThreshold) {
+    const viewNames = viewers.map((viewer, index) => `view${index + 1}`);
+    const counts = { either: 0 };
+    viewNames.forEach(name => {
+        counts[name] = 0;
+    });
+
+    if (!viewers.every(viewer => viewer.scene.pickPositionSupported)) {
+        console.warn("Depth picking is not supported by this browser - skipping occlusion test");
+        return counts;
+    }
+
+    withEntitiesHidden(viewers, () => {
+        matchingPoints.forEach(point => {
+            point.isOccluded = {};
+        });
+
+        // One view at a time (a shared viewer renders the views in turn)
+        viewers.forEach((viewer, index) => {
+            const scene = viewer.scene;
+            matchingPoints.forEach(point => {
+                const check = checkDepthConsistency(scene, point.point3D, tolerance, 0);
+                point.isOccluded[viewNames[index]] = check.isOccluded;
+                if (check.isOccluded) counts[viewNames[index]]++;
+            });
+        });
+
+        matchingPoints.forEach(point => {
+            if (Object.values(point.isOccluded).some(Boolean)) {
+                counts.either++;
+                point.isCorrect = false;
+            }
+        });
+    });
+
+    console.log(`Occlusion test: ${counts.either}/${matchingPoints.length} points occluded`, counts);
+
+    return counts;
+}
+
+/**
+ * Pick world points on the rendered surface of a single view (shared keypoints of a sequence)
+ * @param {Cesium.Viewer} viewer - Cesium viewer
+ * @param {Function} random - Random function
+ * @param {Object} settings - Keypoint settings (default: KEYPOINT_SETTINGS)
+ * @returns {Array<Cesium.Cartesian3>} - Up to settings.count surface points
+ */
+function pickSurfacePoints(viewer, random, settings = KEYPOINT_SETTINGS) {
+    const scene = viewer.scene;
+    if (!scene.pickPositionSupported) {
+        console.warn("Depth picking is not supported by this browser - no surface keypoints");
+        return [];
+    }
+
+    const width = viewer.canvas.clientWidth;
+    const height = viewer.canvas.clientHeight;
+    const margin = settings.marginPercent / 100;
+    const points = [];
+
+    withEntitiesHidden([viewer], () => {
+        for (let attempt = 0; attempt < settings.maxAttempts && points.length < settings.count; attempt++) {
+            const windowPosition = new Cesium.Cartesian2(
+                width * (margin + random() * (1 - 2 * margin)),
+                height * (margin + random() * (1 - 2 * margin))
+            );
+            const point3D = scene.pickPosition(windowPosition);
+            if (point3D) {
+                points.push(point3D);
+            }
+        }
+    });
+
+    return points;
+}
+
+/**
+ * Project keypoints into a view and test them against the rendered depth
+ * @param {Cesium.Viewer} viewer - Cesium viewer
+ * @param {Array<Object>} keypoints - Keypoints { id, point3D }
+ * @param {Number} tolerance - Depth tolerance in meters (default: MATCH_CRITERIA.visibilityThreshold)
+ * @returns {Array<Object>} - Observations { id, x, y, u, v, inView, isOccluded } with x/y in image pixels
+ *                            and u/v normalised to the view size (null if behind the camera)
+ */
+function observeKeypoints(viewer, keypoints, tolerance = MATCH_CRITERIA.visibilityThreshold) {
+    const width = viewer.canvas.clientWidth;
+    const height = viewer.canvas.clientHeight;
+
+    // Projections are in CSS pixels, the saved frame in drawing buffer pixels
+    const pixelRatio = viewer.canvas.width / width;
+
+    return withEntitiesHidden([viewer], () => keypoints.map(keypoint => {
+        const check = checkDepthConsistency(viewer.scene, keypoint.point3D, tolerance, 0);
+        const position = check.windowPosition;
+        if (!position) {
+            return { id: keypoint.id, x: null, y: null, u: null, v: null, inView: false, isOccluded: false };
+        }
+
+        return {
+            id: keypoint.id,
+            x: position.x * pixelRatio,
+            y: position.y * pixelRatio,
+            u: position.x / width,
+            v: position.y / height,
+            inView: position.x >= 0 && position.x <= width && position.y >= 0 && position.y <= height,
+            isOccluded: check.isOccluded
+        };
+    }));
+}
+
+export {
+    withEntitiesHidden,
+    sampleSurfaceKeypoints,
+    updateOcclusionFlags,
+    pickSurfacePoints,
+    observeKeypoints
+};
@@ -0,0 +1,53 @@
+/**
+ * Third-party libraries (Cesium, JSZip and FileSaver) loaded before the app starts
+ *
+ * Online they come from cdnjs. In offline mode they come from OFFLINE_SETTINGS.libraryUrl, where
+ * tile-server.js serves the vendored npm packages, so the app boots without network access
+ */
+
+import { LIBRARY_URLS, OFFLINE_SETTINGS } from './config.js';
+
+/**
+ * Add a script or stylesheet element to the document head
+ * @param {HTMLElement} element - Script or link element, with its URL not set yet
+ * @param {String} attribute - URL attribute ('src' or 'href')
+ * @param {String} url - URL to load
+ * @returns {Promise} - Resolves once the element has loaded
+ */
+function appendToHead(element, attribute, url) {
+    return new Promise((resolve, reject) => {
+        element.onload = resolve;
+        element.onerror = () => reject(new Error(`Could not load ${url}`));
+        element[attribute] = url;
+        document.head.appendChild(element);
+    });
+}
+
+/**
+ * Load the libraries from cdnjs, or from the local library URL in offline mode
+ * @returns {Promise} - Resolves once every script has run (Cesium, JSZip and saveAs are global)
+ */
+async function loadLibraries() {
+    const offline = OFFLINE_SETTINGS.enabled;
+    const urls = offline ? LIBRARY_URLS.offline : LIBRARY_URLS.online;
+    const resolveUrl = url => offline ? `${OFFLINE_SETTINGS.libraryUrl}/${url}` : url;
+
+    // Cesium loads its workers and assets from here
+    window.CESIUM_BASE_URL = resolveUrl(urls.cesiumBaseUrl);
+
+    const stylesheets = urls.stylesheets.map(url => {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        return appendToHead(link, 'href', resolveUrl(url));
+    });
+
+    // One after another, like the script tags they replace
+    for (const url of urls.scripts) {
+        await appendToHead(document.createElement('script'), 'src', resolveUrl(url));
+    }
+    await Promise.all(stylesheets);
+}
+
+export {
+    loadLibraries
+};
@@ -0,0 +1,467 @@
+/**
+ * Location sources: where the target site of each pair comes from
+ *
+ * Every source implements the same interface:
+ *   type          - Source identifier ('buildings', 'points' or 'polygons')
+ *   description   - Human readable description (shown in the status line and metadata)
+ *   load()        - Promise resolving once the source data is available (throws if it cannot be read)
+ *   pickLocation(random, reportStatus) - Promise resolving to { lat, lon, region, osm? } drawn with
+ *                   the given random function; may throw to make the caller retry with new draws
+ */
+
+import { GLOBAL_REGIONS, LOCATION_SOURCE, OSM_FILTERS, OFFLINE_SETTINGS } from './config.js';
+import { findNearestLocalElement } from './offline.js';
+import { buildOverpassQuery, getElementPosition } from './osmFilters.js';
+import { pickRegion, isRegionFull, createQuotaError } from './regionQuotas.js';
+
+// Active location source (created lazily from LOCATION_SOURCE)
+let activeSource = null;
+
+/**
+ * Find the nearest OSM element matching the tag filters (buildings by default)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array<String>} filters - Overpass selectors (default: OSM_FILTERS.filters)
+ * @returns {Promise<Object>} - Location with lat, lon and the matched element { type, id, tags }
+ */
+async function findNearestOsmElement(lat, lon, filters = OSM_FILTERS.filters) {
+    let radius = 1000; // Start with 1000m radius
+    const maxRadius = 10000; // Limit expansion to 10km
+    
+    // Offline mode: search the local OSM extract instead of the Overpass mirrors
+    if (OFFLINE_SETTINGS.enabled) {
+        return findNearestLocalElement(lat, lon, maxRadius, filters);
+    }
+    
+    // List of Overpass API mirrors to try
+    const apiMirrors = [
+        'https://overpass-api.de/api/interpreter',
+        'https://overpass.private.coffee/api/interpreter',
+        'https://overpass.osm.jp/api/interpreter',
+        'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
+    ];
+
+    while (radius <= maxRadius) {
+        const overpassQuery = buildOverpassQuery(filters, lat, lon, radius);
+        
+        // Randomize the order of mirrors to distribute load
+        const shuffledMirrors = [...apiMirrors].sort(() => Math.random() - 0.5);
+        
+        // Try each mirror until one works
+        for (const apiUrl of shuffledMirrors) {
+            const overpassUrl = `${apiUrl}?data=${encodeURIComponent(overpassQuery)}`;
+
+            try {
+                const response = await fetch(overpassUrl);
+                if (!response.ok) {
+                    console.warn(`Mirror ${apiUrl} returned status ${response.status}, trying next mirror...`);
+                    continue;
+                }
+                
+                const data = await response.json();
+
+                // Overpass returns elements in id order, so pick the closest one explicitly
+                let nearest = null;
+                let nearestDistance = Infinity;
+                for (const element of data.elements) {
+                    const position = getElementPosition(element);
+                    if (!position) continue;
+                    
+                    const dy = (position.lat - lat) * 111000;
+                    const dx = (position.lon - lon) * 111000 * Math.cos(lat * Math.PI / 180);
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance < nearestDistance) {
+                        nearest = { element, position };
+                        nearestDistance = distance;
+                    }
+                }
+
+                if (nearest) {
+                    console.log(`Successfully used mirror: ${apiUrl}`);
+                    return {
+                        lat: nearest.position.lat,
+                        lon: nearest.position.lon,
+                        osm: {
+                            type: nearest.element.type,
+                            id: nearest.element.id,
+                            tags: nearest.element.tags || {}
+                        }
+                    };
+                }
+                
+                // If we got a valid response with zero elements, no need to try other mirrors
+                // But we successfully connected to this mirror, so break the loop
+                console.log(`No matching OSM elements found within ${radius}m radius using ${apiUrl}`);
+                break;
+            } catch (error) {
+                console.error(`Overpass API error with mirror ${apiUrl} (Radius ${radius}m):`, error);
+            }
+        }
+
+        // Increase search radius for next attempt
+        radius += 4000; // Increase by 2km per attempt
+    }
+
+    throw new Error("No matching OSM elements found after expanding search with all mirrors.");
+}
+
+/**
+ * Random point in a GLOBAL_REGIONS region (see REGION_SAMPLING), moved to the nearest OSM element matching the
+ * tag filters of the region (or OSM_FILTERS.filters), with a chance of a random shift of up to 200m
+ * @returns {Object} - Location source
+ */
+function createBuildingSource() {
+    return {
+        type: 'buildings',
+        description: 'Nearest matching OSM element to a random point in GLOBAL_REGIONS',
+        
+        async load() {},
+        
+        async pickLocation(random, reportStatus) {
+            // Select a region from the GLOBAL_REGIONS array (weighted by REGION_SAMPLING)
+            const region = pickRegion(random, GLOBAL_REGIONS);
+            
+            // Reject the seed before querying Overpass if the region has reached its quota
+            if (isRegionFull(region.name)) {
+                throw createQuotaError(region.name);
+            }
+            
+            const filters = region.osmFilters || OSM_FILTERS.filters;
+            
+            // Generate random coordinates within the selected region
+            const lat = region.minLat + random() * (region.maxLat - region.minLat);
+            const lon = region.minLon + random() * (region.maxLon - region.minLon);
+            
+            console.log(`Trying location in region: ${region.name} (${lat.toFixed(4)}, ${lon.toFixed(4)}) with filters`, filters);
+            reportStatus(`Searching for OSM sites near ${lat.toFixed(4)}, ${lon.toFixed(4)} in ${region.name}...`);
+            
+            let site;
+            try {
+                site = await findNearestOsmElement(lat, lon, filters);
+            } catch (error) {
+                throw new Error(`No matching OSM sites found in ${region.name}`);
+            }
+            
+            reportStatus(`Found ${site.osm.type} ${site.osm.id} in ${region.name}!`);
+            
+            // Target coordinates - the element itself unless shifted below
+            let targetLat = site.lat;
+            let targetLon = site.lon;
+            
+            // Random shift away from the element (keeps the site in view while varying the framing)
+            if (random() < OSM_FILTERS.shiftProbability) {
+                reportStatus(`Applying random shift in ${region.name}...`);
+                // Add random shift within 200m
+                // Convert 200m to approximate degrees (1 degree ≈ 111km at equator)
+                const maxShiftDegrees = 200 / 111000; // 200m in degrees
+                
+                // Generate random angle for shift direction
+                const shiftAngle = random() * Math.PI * 2;
+                // Generate random distance within 200m
+                const shiftDistance = random() * maxShiftDegrees;
+                
+                // Calculate shifted coordinates
+                targetLat = site.lat + shiftDistance * Math.sin(shiftAngle);
+                targetLon = site.lon + shiftDistance * Math.cos(shiftAngle) / Math.cos(site.lat * Math.PI / 180);
+            }
+            
+            return {
+                lat: targetLat,
+                lon: targetLon,
+                region: region.name,
+                osm: {
+                    ...site.osm,
+                    filters,
+                    lat: site.lat,
+                    lon: site.lon
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Read the text of a source file from a URL or a user-selected File
+ * @param {String|File} input - URL (relative to the app) or File object
+ * @returns {Promise<String>} - File contents
+ */
+async function readSourceText(input) {
+    if (typeof input !== 'string') {
+        return input.text();
+    }
+    
+    const response = await fetch(input);
+    if (!response.ok) {
+        throw new Error(`Location file ${input} returned status ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Get a printable name for a source file
+ * @param {String|File} input - URL or File object
+ * @returns {String} - File name
+ */
+function getSourceName(input) {
+    return typeof input === 'string' ? input : input.name;
+}
+
+/**
+ * Parse a list of points from CSV text
+ * A header row naming the columns (lat/latitude, lon/lng/longitude, name) is optional;
+ * without one the columns are read as lat, lon, name
+ * @param {String} text - CSV text
+ * @returns {Array<Object>} - Points { lat, lon, name }
+ */
+function parsePointsCsv(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+    
+    if (rows.length === 0) return [];
+    
+    // Column indices, from the header row if there is one
+    let columns = { lat: 0, lon: 1, name: 2 };
+    if (isNaN(parseFloat(rows[0][0])) || isNaN(parseFloat(rows[0][1]))) {
+        const header = rows.shift().map(cell => cell.toLowerCase());
+        columns = {
+            lat: header.findIndex(cell => cell === 'lat' || cell === 'latitude'),
+            lon: header.findIndex(cell => cell === 'lon' || cell === 'lng' || cell === 'longitude'),
+            name: header.findIndex(cell => cell === 'name')
+        };
+        if (columns.lat < 0 || columns.lon < 0) {
+            throw new Error("CSV header must contain lat/latitude and lon/lng/longitude columns");
+        }
+    }
+    
+    return rows
+        .map(row => ({
+            lat: parseFloat(row[columns.lat]),
+            lon: parseFloat(row[columns.lon]),
+            name: columns.name >= 0 ? row[columns.name] : undefined
+        }))
+        .filter(point => isFinite(point.lat) && isFinite(point.lon));
+}
+
+/**
+ * Parse GeoJSON text into a list of features
+ * @param {String} text - GeoJSON text (FeatureCollection, Feature or bare geometry)
+ * @returns {Array<Object>} - GeoJSON features
+ */
+function parseGeoJsonFeatures(text) {
+    const data = JSON.parse(text);
+    if (data.type === 'FeatureCollection') return data.features;
+    if (data.type === 'Feature') return [data];
+    return [{ type: 'Feature', properties: {}, geometry: data }];
+}
+
+/**
+ * User-supplied list of target points (CSV or GeoJSON Point/MultiPoint features)
+ * @param {String|File} input - URL or File with the points
+ * @returns {Object} - Location source
+ */
+function createPointListSource(input) {
+    let points = null;
+    
+    return {
+        type: 'points',
+        description: `Points from ${getSourceName(input)}`,
+        
+        async load() {
+            if (points) return;
+            
+            const text = await readSourceText(input);
+            const isGeoJson = /\.(geo)?json$/i.test(getSourceName(input)) || text.trim().startsWith('{');
+            
+            if (isGeoJson) {
+                points = [];
+                parseGeoJsonFeatures(text).forEach((feature, index) => {
+                    const geometry = feature.geometry || {};
+                    const coordinates = geometry.type === 'Point' ? [geometry.coordinates] :
+                        geometry.type === 'MultiPoint' ? geometry.coordinates : [];
+                    coordinates.forEach(([lon, lat]) => points.push({
+                        lat,
+                        lon,
+                        name: feature.properties?.name || `Point ${index + 1}`
+                    }));
+                });
+            } else {
+                points = parsePointsCsv(text);
+            }
+            
+            if (points.length === 0) {
+                points = null;
+                throw new Error(`No points found in ${getSourceName(input)}`);
+            }
+            console.log(`Loaded ${points.length} target points from ${getSourceName(input)}`);
+        },
+        
+        async pickLocation(random, reportStatus) {
+            const point = points[Math.floor(random() * points.length)];
+            reportStatus(`Using listed point ${point.name || ''} (${point.lat.toFixed(4)}, ${point.lon.toFixed(4)})`);
+            
+            return { lat: point.lat, lon: point.lon, region: point.name || 'Point list' };
+        }
+    };
+}
+
+/**
+ * Check whether a point lies inside a polygon (even-odd rule over all rings, so holes are excluded)
+ * @param {Number} lon - Longitude
+ * @param {Number} lat - Latitude
+ * @param {Array} rings - GeoJSON polygon rings
+ * @returns {Boolean} - True if inside
+ */
+function isPointInPolygon(lon, lat, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Approximate polygon area in square meters (shoelace formula on a local equirectangular projection)
+ * @param {Array} rings - GeoJSON polygon rings (outer ring first)
+ * @returns {Number} - Area of the outer ring minus the holes
+ */
+function getPolygonArea(rings) {
+    const metersPerDegree = 111000;
+    const cosLat = Math.cos(rings[0][0][1] * Math.PI / 180);
+    
+    return rings.reduce((total, ring, ringIndex) => {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+        }
+        area = Math.abs(area / 2) * metersPerDegree * metersPerDegree * cosLat;
+        return ringIndex === 0 ? total + area : total - area;
+    }, 0);
+}
+
+/**
+ * Uniform sampling inside GeoJSON Polygon/MultiPolygon features
+ * Polygons are chosen with probability proportional to their area
+ * @param {String|File} input - URL or File with the polygons
+ * @returns {Object} - Location source
+ */
+function createPolygonSource(input) {
+    let polygons = null;
+    let totalArea = 0;
+    
+    return {
+        type: 'polygons',
+        description: `Uniform samples inside polygons from ${getSourceName(input)}`,
+        
+        async load() {
+            if (polygons) return;
+            
+            polygons = [];
+            parseGeoJsonFeatures(await readSourceText(input)).forEach((feature, index) => {
+                const geometry = feature.geometry || {};
+                const polygonList = geometry.type === 'Polygon' ? [geometry.coordinates] :
+                    geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+                
+                polygonList.forEach(rings => {
+                    const outer = rings[0];
+                    polygons.push({
+                        rings,
+                        name: feature.properties?.name || `Polygon ${index + 1}`,
+                        area: getPolygonArea(rings),
+                        bounds: {
+                            minLon: Math.min(...outer.map(c => c[0])),
+                            maxLon: Math.max(...outer.map(c => c[0])),
+                            minLat: Math.min(...outer.map(c => c[1])),
+                            maxLat: Math.max(...outer.map(c => c[1]))
+                        }
+                    });
+                });
+            });
+            
+            totalArea = polygons.reduce((sum, polygon) => sum + polygon.area, 0);
+            if (polygons.length === 0 || !(totalArea > 0)) {
+                polygons = null;
+                throw new Error(`No polygons found in ${getSourceName(input)}`);
+            }
+            console.log(`Loaded ${polygons.length} polygons (${(totalArea / 1e6).toFixed(2)} km²) from ${getSourceName(input)}`);
+        },
+        
+        async pickLocation(random, reportStatus) {
+            // Area-weighted polygon choice
+            let target = random() * totalArea;
+            const polygon = polygons.find(p => (target -= p.area) <= 0) || polygons[polygons.length - 1];
+            
+            // Rejection sampling inside the bounding box
+            // (uniform in degrees, which is close to uniform in area for city-sized polygons)
+            const { minLon, maxLon, minLat, maxLat } = polygon.bounds;
+            for (let attempt = 0; attempt < 1000; attempt++) {
+                const lon = minLon + random() * (maxLon - minLon);
+                const lat = minLat + random() * (maxLat - minLat);
+                if (isPointInPolygon(lon, lat, polygon.rings)) {
+                    reportStatus(`Sampled point in ${polygon.name} (${lat.toFixed(4)}, ${lon.toFixed(4)})`);
+                    return { lat, lon, region: polygon.name };
+                }
+            }
+            
+            throw new Error(`Could not sample a point inside ${polygon.name}`);
+        }
+    };
+}
+
+/**
+ * Create a location source
+ * @param {String} type - 'buildings', 'points' or 'polygons'
+ * @param {String|File} input - URL or File for the points/polygons sources (default: from LOCATION_SOURCE)
+ * @returns {Object} - Location source
+ */
+function createLocationSource(type, input) {
+    switch (type) {
+        case 'buildings':
+            return createBuildingSource();
+        case 'points':
+            return createPointListSource(input || LOCATION_SOURCE.pointsUrl);
+        case 'polygons':
+            return createPolygonSource(input || LOCATION_SOURCE.polygonsUrl);
+        default:
+            throw new Error(`Unknown location source type: ${type}`);
+    }
+}
+
+/**
+ * Get the active location source
+ * @returns {Object} - Location source
+ */
+function getLocationSource() {
+    if (!activeSource) {
+        activeSource = createLocationSource(LOCATION_SOURCE.type);
+    }
+    return activeSource;
+}
+
+/**
+ * Switch the active location source (e.g. from the UI)
+ * @param {String} type - 'buildings', 'points' or 'polygons'
+ * @param {String|File} input - Optional URL or File for the points/polygons sources
+ * @returns {Promise<Object>} - The new source, once its data is loaded
+ */
+async function setLocationSource(type, input) {
+    const source = createLocationSource(type, input);
+    await source.load();
+    activeSource = source;
+    console.log(`Location source set to: ${source.description}`);
+    return source;
+}
+
+export {
+    findNearestOsmElement,
+    createLocationSource,
+    getLocationSource,
+    setLocationSource
+};
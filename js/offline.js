@@ -0,0 +1,199 @@
+/**
+ * Offline mode: local imagery/terrain tiles and a local OSM building extract
+ * served by tile-server.js instead of Cesium Ion, ArcGIS and the Overpass mirrors
+ */
+
+import { OFFLINE_SETTINGS } from './config.js';
+import { matchesOsmFilters, getElementPosition } from './osmFilters.js';
+
+// Elements of the local OSM extract with their centers (loaded once)
+let localElementsPromise = null;
+
+// GeoJSON id prefixes written by osmium export (--add-unique-id=type_id)
+const OSM_ID_PREFIXES = { n: 'node', w: 'way', r: 'relation' };
+
+/**
+ * Join the tile server URL and a path relative to the tile directory
+ * @param {String} path - Path relative to the tile directory
+ * @returns {String} - Absolute URL
+ */
+function getOfflineUrl(path) {
+    return `${OFFLINE_SETTINGS.tileServerUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Create the imagery provider for a view from a local {z}/{x}/{y} tile directory
+ * @param {String} viewName - 'view1', 'view2', ... (views without their own tiles use the view2 tiles,
+ *                            like the online imagery of every view after view1)
+ * @returns {Cesium.UrlTemplateImageryProvider} - The imagery provider
+ */
+function createOfflineImageryProvider(viewName) {
+    return createLocalImageryProvider(OFFLINE_SETTINGS.imagery[viewName] || OFFLINE_SETTINGS.imagery.view2);
+}
+
+/**
+ * Create an imagery provider from a tile directory of the tile server
+ * @param {Object} imagery - { path, minimumLevel, maximumLevel, credit } with the path relative to the tile directory
+ * @returns {Cesium.UrlTemplateImageryProvider} - The imagery provider
+ */
+function createLocalImageryProvider(imagery) {
+    return new Cesium.UrlTemplateImageryProvider({
+        url: getOfflineUrl(imagery.path),
+        minimumLevel: imagery.minimumLevel,
+        maximumLevel: imagery.maximumLevel,
+        credit: imagery.credit
+    });
+}
+
+/**
+ * Create the terrain provider from a local quantized-mesh tileset (a directory with layer.json)
+ * @returns {Promise<Cesium.TerrainProvider>} - The terrain provider, or the ellipsoid if none is configured
+ */
+async function createOfflineTerrainProvider() {
+    if (!OFFLINE_SETTINGS.terrainPath) {
+        return new Cesium.EllipsoidTerrainProvider();
+    }
+
+    return Cesium.CesiumTerrainProvider.fromUrl(getOfflineUrl(OFFLINE_SETTINGS.terrainPath), {
+        requestVertexNormals: false
+    });
+}
+
+/**
+ * Get the center of a GeoJSON geometry (mean of the outer ring vertices for polygons)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object|null} - { lat, lon } or null for unsupported geometries
+ */
+function getGeometryCenter(geometry) {
+    if (!geometry) return null;
+
+    let ring;
+    if (geometry.type === 'Point') {
+        return { lon: geometry.coordinates[0], lat: geometry.coordinates[1] };
+    } else if (geometry.type === 'Polygon') {
+        ring = geometry.coordinates[0];
+    } else if (geometry.type === 'MultiPolygon') {
+        ring = geometry.coordinates[0][0];
+    } else {
+        return null;
+    }
+
+    const sum = ring.reduce((acc, [lon, lat]) => ({ lon: acc.lon + lon, lat: acc.lat + lat }), { lon: 0, lat: 0 });
+    return { lon: sum.lon / ring.length, lat: sum.lat / ring.length };
+}
+
+/**
+ * Get the OSM type and id of a GeoJSON feature, if the exporter recorded them
+ * Understands osmium ids ("w123") and overpass-turbo style "@id" properties ("way/123")
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object} - { type, id } (undefined if unknown)
+ */
+function getFeatureOsmId(feature) {
+    const properties = feature.properties || {};
+    const osmiumId = typeof feature.id === 'string' && feature.id.match(/^([nwr])(\d+)$/);
+    if (osmiumId) {
+        return { type: OSM_ID_PREFIXES[osmiumId[1]], id: Number(osmiumId[2]) };
+    }
+
+    const turboId = typeof properties['@id'] === 'string' && properties['@id'].match(/^(node|way|relation)\/(\d+)$/);
+    if (turboId) {
+        return { type: turboId[1], id: Number(turboId[2]) };
+    }
+
+    return { type: undefined, id: typeof feature.id === 'number' ? feature.id : undefined };
+}
+
+/**
+ * Load the elements of the local OSM extract
+ * Accepts a GeoJSON FeatureCollection (e.g. from osmium export, tags as properties) or a
+ * saved Overpass JSON response (`out center`)
+ * @returns {Promise<Array<Object>>} - Elements { lat, lon, osm: { type, id, tags } }
+ */
+function loadLocalElements() {
+    if (!localElementsPromise) {
+        const url = getOfflineUrl(OFFLINE_SETTINGS.buildingsPath);
+
+        localElementsPromise = fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Local OSM extract ${url} returned status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                let elements;
+                if (Array.isArray(data.features)) {
+                    elements = data.features.map(feature => {
+                        const center = getGeometryCenter(feature.geometry);
+                        if (!center) return null;
+
+                        // Tags are the feature properties, minus exporter metadata like "@id"
+                        const tags = {};
+                        Object.entries(feature.properties || {}).forEach(([key, value]) => {
+                            if (!key.startsWith('@')) tags[key] = String(value);
+                        });
+                        return { ...center, osm: { ...getFeatureOsmId(feature), tags } };
+                    });
+                } else if (Array.isArray(data.elements)) {
+                    elements = data.elements.map(element => {
+                        const position = getElementPosition(element);
+                        return position && {
+                            ...position,
+                            osm: { type: element.type, id: element.id, tags: element.tags || {} }
+                        };
+                    });
+                } else {
+                    throw new Error("Unsupported OSM extract format - expected GeoJSON or Overpass JSON");
+                }
+
+                elements = elements.filter(Boolean);
+                console.log(`Loaded ${elements.length} elements from local OSM extract ${url}`);
+                return elements;
+            })
+            .catch(error => {
+                // Allow a retry on the next call
+                localElementsPromise = null;
+                throw error;
+            });
+    }
+    return localElementsPromise;
+}
+
+/**
+ * Find the nearest element of the local OSM extract that matches the tag filters
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} maxRadius - Search radius in meters
+ * @param {Array<String>} filters - Overpass selectors (see osmFilters.js)
+ * @returns {Promise<Object>} - Location with lat, lon and the matched element { type, id, tags }
+ */
+async function findNearestLocalElement(lat, lon, maxRadius, filters) {
+    const elements = await loadLocalElements();
+    const metersPerDegreeLat = 111000;
+    const metersPerDegreeLon = 111000 * Math.cos(lat * Math.PI / 180);
+
+    let nearest = null;
+    let nearestDistance = maxRadius;
+    for (const element of elements) {
+        const dy = (element.lat - lat) * metersPerDegreeLat;
+        const dx = (element.lon - lon) * metersPerDegreeLon;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance <= nearestDistance && matchesOsmFilters(element.osm, filters)) {
+            nearest = element;
+            nearestDistance = distance;
+        }
+    }
+
+    if (!nearest) {
+        throw new Error(`No matching elements within ${maxRadius}m in the local OSM extract.`);
+    }
+
+    return { lat: nearest.lat, lon: nearest.lon, osm: nearest.osm };
+}
+
+export {
+    createOfflineImageryProvider,
+    createLocalImageryProvider,
+    createOfflineTerrainProvider,
+    findNearestLocalElement
+};
@@ -0,0 +1,124 @@
+/**
+ * OSM tag filters for the target site (Overpass QL selectors)
+ *
+ * A filter is an Overpass selector without the spatial clause, e.g.
+ *   'way["building"]', 'way["building"="industrial"]', 'way["bridge"="yes"]',
+ *   'way["landuse"="farmland"]', 'node["highway"="traffic_signals"]'
+ * A list of filters is a union: an element matching any of them is a candidate
+ */
+
+// Overpass element type prefixes and the element types they cover
+const ELEMENT_TYPES = {
+    node: ['node'],
+    way: ['way'],
+    relation: ['relation'],
+    rel: ['relation'],
+    nwr: ['node', 'way', 'relation'],
+    nw: ['node', 'way'],
+    wr: ['way', 'relation'],
+    nr: ['node', 'relation']
+};
+
+/**
+ * Parse an Overpass selector into its element types and tag clauses
+ * Supported clauses: ["key"], [!"key"], ["key"="value"], ["key"!="value"], ["key"~"regex"], ["key"!~"regex"]
+ * @param {String} filter - Overpass selector, e.g. 'way["building"="industrial"]'
+ * @returns {Object} - { typePrefix, types, tagFilter, clauses }
+ */
+function parseOsmFilter(filter) {
+    const match = filter.trim().match(/^([a-z]+)\s*((?:\[[^\]]*\]\s*)*)$/);
+    if (!match || !ELEMENT_TYPES[match[1]]) {
+        throw new Error(`Invalid OSM filter "${filter}" - expected e.g. way["building"="industrial"]`);
+    }
+
+    const clauses = [];
+    const clausePattern = /\[\s*(!?)\s*"([^"]+)"\s*(?:(!?[=~])\s*"([^"]*)"\s*(,\s*i)?)?\s*\]/g;
+    let clause;
+    while ((clause = clausePattern.exec(match[2])) !== null) {
+        const [, negateKey, key, operator, value, caseInsensitive] = clause;
+        clauses.push({
+            key,
+            operator: negateKey ? '!exists' : (operator || 'exists'),
+            value,
+            regex: operator && operator.endsWith('~') ? new RegExp(value, caseInsensitive ? 'i' : '') : null
+        });
+    }
+
+    return {
+        typePrefix: match[1],
+        types: ELEMENT_TYPES[match[1]],
+        tagFilter: match[2].trim(),
+        clauses
+    };
+}
+
+/**
+ * Build an Overpass query for the elements matching any of the filters around a point
+ * @param {Array<String>} filters - Overpass selectors
+ * @param {Number} lat - Latitude
+ * @param {Number} lon - Longitude
+ * @param {Number} radius - Search radius in meters
+ * @returns {String} - Overpass QL query returning centers and tags
+ */
+function buildOverpassQuery(filters, lat, lon, radius) {
+    const statements = filters.map(filter => {
+        const parsed = parseOsmFilter(filter);
+        return `${parsed.typePrefix}(around:${radius}, ${lat}, ${lon})${parsed.tagFilter};`;
+    });
+
+    return `
+            [out:json][timeout:10];
+            (
+                ${statements.join('\n                ')}
+            );
+            out center tags;
+        `;
+}
+
+/**
+ * Check an OSM element against a list of filters (used for local extracts)
+ * @param {Object} element - Element { type, tags }; elements without a type match any element type
+ * @param {Array<String>} filters - Overpass selectors
+ * @returns {Boolean} - True if the element matches any filter
+ */
+function matchesOsmFilters(element, filters) {
+    const tags = element.tags || {};
+
+    return filters.some(filter => {
+        const parsed = parseOsmFilter(filter);
+        if (element.type && !parsed.types.includes(element.type)) {
+            return false;
+        }
+
+        return parsed.clauses.every(({ key, operator, value, regex }) => {
+            const tagValue = tags[key];
+            switch (operator) {
+                case 'exists': return tagValue !== undefined;
+                case '!exists': return tagValue === undefined;
+                case '=': return tagValue === value;
+                case '!=': return tagValue !== value;
+                case '~': return tagValue !== undefined && regex.test(tagValue);
+                case '!~': return tagValue === undefined || !regex.test(tagValue);
+                default: return false;
+            }
+        });
+    });
+}
+
+/**
+ * Get the position of an Overpass element (center for ways and relations)
+ * @param {Object} element - Overpass JSON element
+ * @returns {Object|null} - { lat, lon } or null if the element has no position
+ */
+function getElementPosition(element) {
+    if (element.center) return { lat: element.center.lat, lon: element.center.lon };
+    if (element.lat !== undefined) return { lat: element.lat, lon: element.lon };
+    return null;
+}
+
+export {
+    parseOsmFilter,
+    buildOverpassQuery,
+    matchesOsmFilters,
+    getElementPosition
+};
@@ -0,0 +1,147 @@
+/**
+ * Covisible area (overlap) between consecutive views
+ *
+ * A grid of pixels of each view is lifted to the surface and tested in the other view of the pair.
+ * The fraction of a view's grid that the other view also sees is its covisible fraction; the
+ * overlap of a pair is the smaller of its two fractions
+ */
+
+import { OVERLAP_SETTINGS } from './config.js';
+import { checkDepthConsistency, projectPointToScreen } from './utils.js';
+import { withEntitiesHidden } from './keypoints.js';
+
+const SURFACES = {
+    // Rendered terrain: a sample is covisible if the other view renders the same depth
+    depth: {
+        lift: (viewer, scene, windowPosition) => scene.pickPosition(windowPosition),
+        isVisible: (viewer, scene, point, settings) => {
+            const check = checkDepthConsistency(scene, point, settings.depthTolerance, settings.relativeDepthTolerance);
+            return check.isConsistent && isInsideImage(check.windowPosition, viewer);
+        }
+    },
+    // Flat ground at the target height: a sample is covisible if it projects inside the other image
+    groundPlane: {
+        lift: (viewer, scene, windowPosition, groundEllipsoid) => {
+            const ray = viewer.camera.getPickRay(windowPosition);
+            const interval = ray && Cesium.IntersectionTests.rayEllipsoid(ray, groundEllipsoid);
+            // No intersection (sky) or a camera below the ground
+            if (!interval || interval.start === 0) return undefined;
+            return Cesium.Ray.getPoint(ray, interval.start);
+        },
+        isVisible: (viewer, scene, point) => {
+            const offset = Cesium.Cartesian3.subtract(point, viewer.camera.positionWC, new Cesium.Cartesian3());
+            if (Cesium.Cartesian3.dot(offset, viewer.camera.directionWC) <= 0) return false;
+            return isInsideImage(projectPointToScreen(scene, point), viewer);
+        }
+    }
+};
+
+/**
+ * Check if a window position lies inside the image of a view
+ * @param {Object|null} position - Window position { x, y } in CSS pixels
+ * @param {Cesium.Viewer} viewer - The view
+ * @returns {Boolean} - Whether the position is inside the image
+ */
+function isInsideImage(position, viewer) {
+    return Boolean(position) &&
+        position.x >= 0 && position.x <= viewer.canvas.clientWidth &&
+        position.y >= 0 && position.y <= viewer.canvas.clientHeight;
+}
+
+/**
+ * Lift the centres of a grid of image cells to the surface
+ * @param {Cesium.Viewer} viewer - The view
+ * @param {Object} surface - Entry of SURFACES
+ * @param {Number} gridSize - Cells per image row and column
+ * @param {Cesium.Ellipsoid} groundEllipsoid - Ellipsoid through the target ground ('groundPlane')
+ * @returns {Array<Cesium.Cartesian3|undefined>} - Surface point per cell (undefined where nothing is hit)
+ */
+function liftGrid(viewer, surface, gridSize, groundEllipsoid) {
+    const scene = viewer.scene;
+    const width = viewer.canvas.clientWidth;
+    const height = viewer.canvas.clientHeight;
+
+    const points = [];
+    for (let v = 0; v < gridSize; v++) {
+        for (let u = 0; u < gridSize; u++) {
+            const windowPosition = new Cesium.Cartesian2((u + 0.5) * width / gridSize, (v + 0.5) * height / gridSize);
+            points.push(surface.lift(viewer, scene, windowPosition, groundEllipsoid));
+        }
+    }
+    return points;
+}
+
+/**
+ * Fraction of lifted grid points that a view also sees
+ * @param {Array<Cesium.Cartesian3|undefined>} points - Lifted grid of the other view
+ * @param {Cesium.Viewer} viewer - The view testing the points
+ * @param {Object} surface - Entry of SURFACES
+ * @param {Object} settings - Overlap settings
+ * @returns {Number} - Covisible fraction of the grid, in [0, 1]
+ */
+function computeCovisibleFraction(points, viewer, surface, settings) {
+    const scene = viewer.scene;
+    const covisible = points.filter(point => point && surface.isVisible(viewer, scene, point, settings)).length;
+    return covisible / points.length;
+}
+
+/**
+ * Compute the overlap of every pair of consecutive views
+ * The views are rendered one at a time (lifting every grid, then testing every pair), so this
+ * also works with a shared viewer. With the 'depth' surface the tiles must be loaded first
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers, view1 first
+ * @param {Number} groundHeight - Ground height of the target in meters (for 'groundPlane')
+ * @param {Object} settings - Overlap settings (default: OVERLAP_SETTINGS)
+ * @returns {Object} - { value, surface, gridSize, pairs } where value is the smallest pair overlap and
+ *                     each pair is { views, covisible: { <view>: fraction }, overlap }
+ */
+function computeOverlap(viewers, groundHeight, settings = OVERLAP_SETTINGS) {
+    const surface = SURFACES[settings.surface];
+    if (!surface) {
+        throw new Error(`Unknown overlap surface "${settings.surface}" - expected ${Object.keys(SURFACES).join(', ')}`);
+    }
+
+    const radii = Cesium.Ellipsoid.WGS84.radii;
+    const groundEllipsoid = new Cesium.Ellipsoid(radii.x + groundHeight, radii.y + groundHeight, radii.z + groundHeight);
+
+    const pairs = withEntitiesHidden(viewers, () => {
+        const grids = viewers.map(viewer => liftGrid(viewer, surface, settings.gridSize, groundEllipsoid));
+
+        return viewers.slice(1).map((viewer, index) => {
+            const previous = viewers[index];
+            const names = [`view${index + 1}`, `view${index + 2}`];
+            const covisible = {
+                [names[0]]: computeCovisibleFraction(grids[index], viewer, surface, settings),
+                [names[1]]: computeCovisibleFraction(grids[index + 1], previous, surface, settings)
+            };
+            return {
+                views: names,
+                covisible,
+                overlap: Math.min(covisible[names[0]], covisible[names[1]])
+            };
+        });
+    });
+
+    return {
+        value: pairs.length ? Math.min(...pairs.map(pair => pair.overlap)) : null,
+        surface: settings.surface,
+        gridSize: settings.gridSize,
+        pairs
+    };
+}
+
+/**
+ * Check an overlap against a band
+ * @param {Number|null} value - Overlap of a pair
+ * @param {Array<Number>|null} band - [min, max] accepted overlap, null to accept any
+ * @returns {Boolean} - Whether the overlap is inside the band
+ */
+function isOverlapInBand(value, band = OVERLAP_SETTINGS.band) {
+    if (!band) return true;
+    return value !== null && value >= band[0] && value <= band[1];
+}
+
+export {
+    computeOverlap,
+    isOverlapInBand
+};
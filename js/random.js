@@ -0,0 +1,125 @@
+/**
+ * Seedable random number generation so every dataset pair can be reproduced
+ */
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {Number} seed - 32-bit unsigned integer seed
+ * @returns {Function} - Function returning floats in [0, 1), a drop-in replacement for Math.random
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive an independent seed for a named sub-stream of a pair seed
+ * Each subsystem (location, cameras, view offsets...) draws from its own stream,
+ * so adding a random call in one place does not shift the values drawn elsewhere
+ * @param {Number} seed - The pair seed
+ * @param {String} label - Name of the sub-stream
+ * @returns {Number} - Derived 32-bit unsigned seed
+ */
+function deriveSeed(seed, label) {
+    // FNV-1a over the label, starting from the seed
+    let hash = (0x811C9DC5 ^ seed) >>> 0;
+    for (let i = 0; i < label.length; i++) {
+        hash ^= label.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    // Final avalanche (murmur3 fmix32) so neighbouring seeds give unrelated streams
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85EBCA6B);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xC2B2AE35);
+    hash ^= hash >>> 16;
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a generator for a named sub-stream of a pair seed
+ * @param {Number} seed - The pair seed
+ * @param {String} label - Name of the sub-stream
+ * @returns {Function} - Seeded random function
+ */
+function createSeededStream(seed, label) {
+    return createRandom(deriveSeed(seed, label));
+}
+
+/**
+ * Generate a fresh random seed for a new pair
+ * @returns {Number} - 32-bit unsigned integer seed
+ */
+function generateSeed() {
+    if (window.crypto && window.crypto.getRandomValues) {
+        return window.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Parse a seed entered by the user or read from metadata
+ * @param {String|Number} value - Seed value
+ * @returns {Number|null} - 32-bit unsigned seed or null if the value is not a valid seed
+ */
+function parseSeed(value) {
+    const text = String(value ?? '').trim();
+    if (!/^\d+$/.test(text)) {
+        return null;
+    }
+
+    const seed = Number(text);
+    return seed <= 0xFFFFFFFF ? seed : null;
+}
+
+/**
+ * Draw a uniform value from a [min, max] range
+ * @param {Function} random - Random function
+ * @param {Array} range - Two-element [min, max] array
+ * @returns {Number} - Sampled value
+ */
+function randomInRange(random, range) {
+    return range[0] + random() * (range[1] - range[0]);
+}
+
+/**
+ * Draw a value from a [min, max] range with a named distribution
+ * 'uniform' - every value in the range is equally likely
+ * 'logUniform' - uniform in log space (as many draws in [10, 100] as in [100, 1000]), needs min > 0
+ * @param {Function} random - Random function
+ * @param {Array} range - Two-element [min, max] array
+ * @param {String} distribution - Distribution name (default: 'uniform')
+ * @returns {Number} - Sampled value
+ */
+function sampleDistribution(random, range, distribution = 'uniform') {
+    switch (distribution) {
+        case 'uniform':
+            return randomInRange(random, range);
+        case 'logUniform':
+            if (!(range[0] > 0 && range[1] > 0)) {
+                throw new Error(`logUniform needs a positive range, got [${range[0]}, ${range[1]}]`);
+            }
+            return Math.exp(randomInRange(random, [Math.log(range[0]), Math.log(range[1])]));
+        default:
+            throw new Error(`Unknown distribution "${distribution}" - expected 'uniform' or 'logUniform'`);
+    }
+}
+
+export {
+    createRandom,
+    deriveSeed,
+    createSeededStream,
+    generateSeed,
+    parseSeed,
+    randomInRange,
+    sampleDistribution
+};
@@ -0,0 +1,207 @@
+/**
+ * Geographically stratified sampling: weighted region choice and per-region pair quotas
+ *
+ * Quotas are only enforced while a dataset run is active (see startQuotaRun). The pairs saved
+ * per region are written to REGION_SAMPLING.stateFile in the output directory after each pair,
+ * so an interrupted run resumes with the counts it had reached. Several processes can write into
+ * the same directory: each one merges the file into its counts (mergeQuotaState) before writing it
+ */
+
+import { GLOBAL_REGIONS, REGION_SAMPLING } from './config.js';
+
+// Pairs saved per region name in the active run (null outside of a dataset run)
+let regionCounts = null;
+
+// Pairs recorded by this process since the state file was last merged
+let pendingCounts = {};
+
+/**
+ * Get the sampling weight of a region
+ * @param {Object} region - GLOBAL_REGIONS entry
+ * @param {String} weighting - 'uniform', 'area' or 'weights' (default: REGION_SAMPLING.weighting)
+ * @returns {Number} - Relative weight (0 = never drawn)
+ */
+function getRegionWeight(region, weighting = REGION_SAMPLING.weighting) {
+    switch (weighting) {
+        case 'area': {
+            // Area of the lat/lon box on the sphere, up to a constant factor
+            const toRadians = Math.PI / 180;
+            return (Math.sin(region.maxLat * toRadians) - Math.sin(region.minLat * toRadians)) *
+                (region.maxLon - region.minLon) * toRadians;
+        }
+        case 'weights':
+            return region.weight ?? 1;
+        case 'uniform':
+            return 1;
+        default:
+            throw new Error(`Unknown region weighting "${weighting}" - expected 'uniform', 'area' or 'weights'`);
+    }
+}
+
+/**
+ * Draw a region according to REGION_SAMPLING.weighting
+ * Uses a single random() draw, so the region of a seed does not depend on the quota state
+ * @param {Function} random - Random function (usually the 'location' stream of the pair seed)
+ * @param {Array<Object>} regions - Regions to draw from (default: GLOBAL_REGIONS)
+ * @returns {Object} - The drawn region
+ */
+function pickRegion(random, regions = GLOBAL_REGIONS) {
+    // Uniform weighting keeps the original draw so existing seeds reproduce the same region
+    if (REGION_SAMPLING.weighting === 'uniform') {
+        return regions[Math.floor(random() * regions.length)];
+    }
+
+    const weights = regions.map(region => Math.max(0, getRegionWeight(region)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0)) {
+        throw new Error("All regions have zero weight - check REGION_SAMPLING and GLOBAL_REGIONS");
+    }
+
+    let threshold = random() * total;
+    for (let i = 0; i < regions.length; i++) {
+        threshold -= weights[i];
+        if (threshold < 0 && weights[i] > 0) {
+            return regions[i];
+        }
+    }
+
+    // Rounding at the upper end - last region with a non-zero weight
+    return regions[weights.map(weight => weight > 0).lastIndexOf(true)];
+}
+
+/**
+ * Start tracking quotas for a dataset run
+ * @param {Object} state - Saved state { counts } to resume from (optional)
+ */
+function startQuotaRun(state = null) {
+    regionCounts = { ...(state?.counts || {}) };
+    pendingCounts = {};
+
+    const resumed = Object.values(regionCounts).reduce((sum, count) => sum + count, 0);
+    if (resumed > 0) {
+        console.log(`Resuming region quotas with ${resumed} pairs already saved`, regionCounts);
+    }
+}
+
+/**
+ * Stop enforcing quotas (quotas do not apply to single views or regenerated seeds)
+ */
+function endQuotaRun() {
+    regionCounts = null;
+    pendingCounts = {};
+}
+
+/**
+ * Check whether a region has reached its quota in the active run
+ * @param {String} regionName - Region name (GLOBAL_REGIONS name, or the region of a point/polygon source)
+ * @returns {Boolean} - True if no more pairs should be generated in this region
+ */
+function isRegionFull(regionName) {
+    if (!regionCounts) return false;
+
+    const quota = REGION_SAMPLING.quotas[regionName];
+    return quota !== undefined && (regionCounts[regionName] || 0) >= quota;
+}
+
+/**
+ * Create the error thrown when a location falls in a full region
+ * The seed is rejected as a whole (rather than redrawn) so seeds stay reproducible
+ * @param {String} regionName - Name of the full region
+ * @returns {Error} - Error with seedRejected and quotaExceeded set
+ */
+function createQuotaError(regionName) {
+    const error = new Error(`Region quota reached for ${regionName}`);
+    error.seedRejected = true;
+    error.quotaExceeded = true;
+    error.region = regionName;
+    return error;
+}
+
+/**
+ * Count a saved pair towards the quota of its region
+ * @param {String} regionName - Region of the saved pair
+ * @returns {Number} - Pairs saved in the region so far
+ */
+function recordRegionPair(regionName) {
+    if (!regionCounts) return 0;
+
+    regionCounts[regionName] = (regionCounts[regionName] || 0) + 1;
+    pendingCounts[regionName] = (pendingCounts[regionName] || 0) + 1;
+    return regionCounts[regionName];
+}
+
+/**
+ * Take over the counts saved by every process writing into the output directory
+ * The counts become the saved ones plus the pairs this process recorded since the last merge,
+ * which are then considered saved: write getQuotaState() right after merging
+ * @param {Object} state - State { counts } read from REGION_SAMPLING.stateFile (null if missing)
+ */
+function mergeQuotaState(state) {
+    if (!regionCounts) return;
+
+    regionCounts = { ...(state?.counts || {}) };
+    Object.entries(pendingCounts).forEach(([regionName, count]) => {
+        regionCounts[regionName] = (regionCounts[regionName] || 0) + count;
+    });
+    pendingCounts = {};
+}
+
+/**
+ * Check whether the run can stop because every region that can still be drawn is full
+ * Regions without a quota (and with a non-zero weight) are never full
+ * @param {Array<Object>} regions - Regions the location source draws from (default: GLOBAL_REGIONS)
+ * @returns {Boolean} - True if all quotas are met
+ */
+function areAllQuotasMet(regions = GLOBAL_REGIONS) {
+    if (!regionCounts || Object.keys(REGION_SAMPLING.quotas).length === 0) return false;
+
+    const drawable = regions.filter(region => getRegionWeight(region) > 0).map(region => region.name);
+    return [...new Set([...drawable, ...Object.keys(REGION_SAMPLING.quotas)])]
+        .every(regionName => isRegionFull(regionName));
+}
+
+/**
+ * Get the state to save in the output directory
+ * @returns {Object} - { weighting, quotas, counts, updated }
+ */
+function getQuotaState() {
+    return {
+        weighting: REGION_SAMPLING.weighting,
+        quotas: REGION_SAMPLING.quotas,
+        counts: { ...(regionCounts || {}) },
+        updated: new Date().toISOString()
+    };
+}
+
+/**
+ * Build the per-region distribution report of the run
+ * @returns {Array<Object>} - { region, count, quota, share } per region, most pairs first
+ */
+function getRegionReport() {
+    const counts = regionCounts || {};
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const regionNames = new Set([...Object.keys(counts), ...Object.keys(REGION_SAMPLING.quotas)]);
+
+    return [...regionNames]
+        .map(region => ({
+            region,
+            count: counts[region] || 0,
+            quota: REGION_SAMPLING.quotas[region] ?? null,
+            share: total > 0 ? (counts[region] || 0) / total : 0
+        }))
+        .sort((a, b) => b.count - a.count);
+}
+
+export {
+    getRegionWeight,
+    pickRegion,
+    startQuotaRun,
+    endQuotaRun,
+    isRegionFull,
+    createQuotaError,
+    recordRegionPair,
+    mergeQuotaState,
+    areAllQuotasMet,
+    getQuotaState,
+    getRegionReport
+};
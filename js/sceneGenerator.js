@@ -2,13 +2,23 @@
  * Scene generation and camera positioning logic for drone view matching
  */
 
-import { GLOBAL_REGIONS, DRONE_PARAMS, MATCH_CRITERIA, VIEW_SETTINGS } from './config.js';
+import { DRONE_PARAMS, ATTITUDE_SETTINGS, MATCH_CRITERIA, MULTI_VIEW_SETTINGS, VIEW_SETTINGS, OUTPUT_SETTINGS, IMAGE_FORMAT } from './config.js';
 import { 
     calculateOrientationToTarget,
+    calculateOrientationForImagePoint,
     isPointVisibleFromCamera, 
     projectPointToScreen,
     isPointInViewport
 } from './utils.js';
+import { createSeededStream, generateSeed, randomInRange, sampleDistribution } from './random.js';
+import { sampleGroundHeights, getHeightAboveGround } from './terrain.js';
+import { createImageryLayer } from './imageryProviders.js';
+import { encodeCanvasImage } from './encoders.js';
+import { applyEnvironment } from './augmentation.js';
+import { getLocationSource } from './locationSources.js';
+import { isRegionFull, createQuotaError } from './regionQuotas.js';
+import { findNearbyUsedLocation, createSeparationError } from './spatialIndex.js';
+import { assignSplit } from './splitAssignment.js';
 
 /**
  * Config defaults (for reference, adjust in config.js)
@@ -16,88 +26,28 @@ import {
  * { name: "Region Name", minLat: val, maxLat: val, minLon: val, maxLon: val }
  * 
  * DRONE_PARAMS = {
- *   heightRange: [50, 500], // meters above ground
- *   distanceRange: [100, 1000], // meters
+ *   heightRange: [30, 300], // meters above the ground below the camera
+ *   distanceRange: [10, 600], // horizontal meters from the target
+ *   pitchRange: [-0.8, -0.2], // radians, follows from height and distance
  *   minAngleDiff: Math.PI / 6, // 30 degrees
- *   maxAngleDiff: Math.PI * 2, // 360 degrees
- *   fovRange: [55, 75] // Degrees for vertical FOV
+ *   maxAngleDiff: Math.PI * 2/3, // 120 degrees
+ *   fovRange: [40, 120], // Degrees
+ *   distributions: { height, distance, angleDiff, fov } // 'uniform' or 'logUniform'
  * }
  * MATCH_CRITERIA = { minMatchPoints: 1 }
  */
 
 /**
- * Find the nearest building to given coordinates
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {Promise<Object>} - Location with lat and lon
+ * Generate a random target location from the active location source
+ * @param {Number} seed - Pair seed driving every random choice (default: fresh random seed)
+ * @returns {Promise<Object>} - Location with lat, lon, ground height, source and the pair seed
+ * @throws {Error} - With seedRejected set if the location falls in a region that reached its quota
+ *                   or too close to a target already used in the dataset
  */
-async function findNearestBuilding(lat, lon) {
-    let radius = 1000; // Start with 1000m radius
-    const maxRadius = 10000; // Limit expansion to 10km
-    
-    // List of Overpass API mirrors to try
-    const apiMirrors = [
-        'https://overpass-api.de/api/interpreter',
-        'https://overpass.private.coffee/api/interpreter',
-        'https://overpass.osm.jp/api/interpreter',
-        'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
-    ];
+async function generateRandomLocation(seed = generateSeed()) {
+    const random = createSeededStream(seed, 'location');
+    const source = getLocationSource();
 
-    while (radius <= maxRadius) {
-        const overpassQuery = `
-            [out:json][timeout:10];
-            (
-                way(around:${radius}, ${lat}, ${lon})["building"];
-            );
-            out center;
-        `;
-        
-        // Randomize the order of mirrors to distribute load
-        const shuffledMirrors = [...apiMirrors].sort(() => Math.random() - 0.5);
-        
-        // Try each mirror until one works
-        for (const apiUrl of shuffledMirrors) {
-            const overpassUrl = `${apiUrl}?data=${encodeURIComponent(overpassQuery)}`;
-
-            try {
-                const response = await fetch(overpassUrl);
-                if (!response.ok) {
-                    console.warn(`Mirror ${apiUrl} returned status ${response.status}, trying next mirror...`);
-                    continue;
-                }
-                
-                const data = await response.json();
-
-                if (data.elements.length > 0) {
-                    const nearestBuilding = data.elements[0];
-                    console.log(`Successfully used mirror: ${apiUrl}`);
-                    return {
-                        lat: nearestBuilding.center?.lat || lat,
-                        lon: nearestBuilding.center?.lon || lon
-                    };
-                }
-                
-                // If we got a valid response with zero elements, no need to try other mirrors
-                // But we successfully connected to this mirror, so break the loop
-                console.log(`No buildings found within ${radius}m radius using ${apiUrl}`);
-                break;
-            } catch (error) {
-                console.error(`Overpass API error with mirror ${apiUrl} (Radius ${radius}m):`, error);
-            }
-        }
-
-        // Increase search radius for next attempt
-        radius += 4000; // Increase by 2km per attempt
-    }
-
-    throw new Error("No buildings found after expanding search with all mirrors.");
-}
-
-/**
- * Generate a random point within one of the global regions
- * @returns {Promise<Object>} - Location with lat, lon, and ground height
- */
-async function generateRandomLocation() {
     // Status element for user feedback
     let statusElement = document.getElementById('location-status');
     if (!statusElement) {
@@ -113,86 +63,69 @@ async function generateRandomLocation() {
         statusElement.style.zIndex = '1000';
         document.body.appendChild(statusElement);
     }
+    const reportStatus = message => {
+        statusElement.textContent = message;
+    };
 
-    while (true) {
-        // Select a random region from the GLOBAL_REGIONS array
-        const region = GLOBAL_REGIONS[Math.floor(Math.random() * GLOBAL_REGIONS.length)];
-        
-        // Generate random coordinates within the selected region
-        const lat = region.minLat + Math.random() * (region.maxLat - region.minLat);
-        const lon = region.minLon + Math.random() * (region.maxLon - region.minLon);
-
-        statusElement.textContent = `Finding location in: ${region.name}`;
-        console.log(`Trying location in region: ${region.name} (${lat.toFixed(4)}, ${lon.toFixed(4)})`);
+    // Source data (point lists, polygons) must be readable - no point in retrying otherwise
+    await source.load();
 
+    while (true) {
         try {
-            statusElement.textContent = `Searching for buildings near ${lat.toFixed(4)}, ${lon.toFixed(4)} in ${region.name}...`;
-            const buildingLocation = await findNearestBuilding(lat, lon);
+            const site = await source.pickLocation(random, reportStatus);
             
-            statusElement.textContent = `Found building in ${region.name}!`;
+            // Point list and polygon regions are only known once picked
+            if (isRegionFull(site.region)) {
+                throw createQuotaError(site.region);
+            }
             
-            // 50% chance to apply random shift
-            if (Math.random() < 0.5) {
-                statusElement.textContent = `Applying random shift in ${region.name}...`;
-                // Add random shift within 200m
-                // Convert 200m to approximate degrees (1 degree ≈ 111km at equator)
-                const maxShiftDegrees = 200 / 111000; // 200m in degrees
-                
-                // Generate random angle for shift direction
-                const shiftAngle = Math.random() * Math.PI * 2;
-                // Generate random distance within 200m
-                const shiftDistance = Math.random() * maxShiftDegrees;
-                
-                // Calculate shifted coordinates
-                const shiftedLat = buildingLocation.lat + shiftDistance * Math.sin(shiftAngle);
-                const shiftedLon = buildingLocation.lon + shiftDistance * Math.cos(shiftAngle) / Math.cos(buildingLocation.lat * Math.PI / 180);
-                
-                // Keep the original name format for metadata compatibility
-                return {
-                    name: `${shiftedLat.toFixed(6)},${shiftedLon.toFixed(6)}`,
-                    lat: shiftedLat,
-                    lon: shiftedLon,
-                    height: 0,
-                    // Add region info but don't modify the name property that might be used elsewhere
-                    region: region.name
-                };
-            } else {
-                // Return exact building location without shift
-                return {
-                    name: `${buildingLocation.lat.toFixed(6)},${buildingLocation.lon.toFixed(6)}`,
-                    lat: buildingLocation.lat,
-                    lon: buildingLocation.lon,
-                    height: 0,
-                    // Add region info but don't modify the name property
-                    region: region.name
-                };
+            // Keep targets apart so no two pairs show nearly the same site
+            const nearby = findNearbyUsedLocation(site.lat, site.lon);
+            if (nearby) {
+                throw createSeparationError(nearby);
             }
+            
+            // Ground height of the target above the ellipsoid (0 if terrain is unavailable)
+            reportStatus(`Sampling terrain height in ${site.region}...`);
+            const [ground] = await sampleGroundHeights([{ lat: site.lat, lon: site.lon }]);
+            
+            // Keep the original name format for metadata compatibility
+            return {
+                name: `${site.lat.toFixed(6)},${site.lon.toFixed(6)}`,
+                lat: site.lat,
+                lon: site.lon,
+                height: ground.height,
+                heightSource: ground.source,
+                // Add region info but don't modify the name property that might be used elsewhere
+                region: site.region,
+                source: source.type,
+                // Matched OSM element (id, tags, filters) for the 'buildings' source
+                osm: site.osm,
+                // Train/val/test split of the geographic cell containing the target
+                split: assignSplit(site.lat, site.lon),
+                seed
+            };
         } catch (error) {
-            console.warn(`Retrying with a new random point in ${region.name}...`);
-            statusElement.textContent = `No buildings found in ${region.name}, trying again...`;
+            // A full region or a used site rejects the whole seed - the caller continues with a new one
+            if (error.seedRejected) {
+                throw error;
+            }
+            console.warn(`${error.message} - retrying with a new random draw...`);
+            reportStatus(`${error.message}, trying again...`);
         }
     }
 }
 
 /**
- * Places a virtual object and generates two camera positions looking at it
- * @param {Object} location - The location data with lat, lon, height
- * @returns {Object} - Camera positions and virtual object position
+ * Layout of the virtual object around a target location
+ * @param {Object} location - The location data with lat and lon
+ * @returns {Array<Object>} - 9 points { type, east, north, aboveGround, lat, lon }, center first
  */
-function generateCameraPositions(location) {
-    console.log("Setting up virtual object at location:", location);
-    
+function getVirtualObjectLayout(location) {
     // Place a virtual object 2 meters above ground
     // Create a 50x50m square with 2m height with 9 measurement points
     // (4 corners, 4 midpoints on sides, and 1 center point)
     
-    // Center point of the object
-    const virtualObjectCenter = Cesium.Cartesian3.fromDegrees(
-        location.lon,
-        location.lat,
-        location.height + 2 // 2m above ground for better visibility
-    );
-    
     // Calculate the size of the object (50 meters in length/width)
     // 1 degree of latitude is approximately 111km at the equator
     const metersToDegreesLat = 50 / 111000; // 50m in degrees latitude
@@ -201,181 +134,296 @@ function generateCameraPositions(location) {
     // Define the height of the object (2m)
     const objectHeight = 2;
     
-    // Create an array to hold all the points of the virtual object
-    const virtualObjectPoints = [];
-    
-    // 1. Add the center point
-    virtualObjectPoints.push({
-        position: virtualObjectCenter,
-        type: 'center'
-    });
-    
-    // 2. Add the 4 corner points (top surface)
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon - metersToDegreesLon/2, 
-            location.lat - metersToDegreesLat/2, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'corner_sw'
-    });
-    
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon + metersToDegreesLon/2, 
-            location.lat - metersToDegreesLat/2, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'corner_se'
-    });
-    
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon + metersToDegreesLon/2, 
-            location.lat + metersToDegreesLat/2, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'corner_ne'
-    });
-    
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon - metersToDegreesLon/2, 
-            location.lat + metersToDegreesLat/2, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'corner_nw'
-    });
-    
-    // 3. Add the 4 midpoints on the sides (top surface)
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon, 
-            location.lat - metersToDegreesLat/2, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'mid_south'
-    });
-    
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon + metersToDegreesLon/2, 
-            location.lat, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'mid_east'
-    });
+    // Layout of the 9 points: offsets in object widths and height above the local ground
+    return [
+        { type: 'center', east: 0, north: 0, aboveGround: 2 }, // 2m above ground for better visibility
+        // 4 corner points (top surface)
+        { type: 'corner_sw', east: -0.5, north: -0.5, aboveGround: 2 + objectHeight },
+        { type: 'corner_se', east: 0.5, north: -0.5, aboveGround: 2 + objectHeight },
+        { type: 'corner_ne', east: 0.5, north: 0.5, aboveGround: 2 + objectHeight },
+        { type: 'corner_nw', east: -0.5, north: 0.5, aboveGround: 2 + objectHeight },
+        // 4 midpoints on the sides (top surface)
+        { type: 'mid_south', east: 0, north: -0.5, aboveGround: 2 + objectHeight },
+        { type: 'mid_east', east: 0.5, north: 0, aboveGround: 2 + objectHeight },
+        { type: 'mid_north', east: 0, north: 0.5, aboveGround: 2 + objectHeight },
+        { type: 'mid_west', east: -0.5, north: 0, aboveGround: 2 + objectHeight }
+    ].map(point => ({
+        ...point,
+        lat: location.lat + point.north * metersToDegreesLat,
+        lon: location.lon + point.east * metersToDegreesLon
+    }));
+}
+
+/**
+ * Draw height/distance candidates for a camera at a given azimuth around the target
+ * @param {Object} location - Target location with lat and lon
+ * @param {Number} azimuth - Direction from the target to the camera (radians, counter-clockwise from east)
+ * @param {Function} random - Random function
+ * @returns {Array<Object>} - DRONE_PARAMS.placementAttempts candidates { lat, lon, height, distance }
+ */
+function drawPlacementCandidates(location, azimuth, random) {
+    const metersPerDegreeLat = 111000;
+    const metersPerDegreeLon = 111000 * Math.cos(Cesium.Math.toRadians(location.lat));
+    const candidates = [];
+
+    for (let i = 0; i < DRONE_PARAMS.placementAttempts; i++) {
+        const height = sampleDistribution(random, DRONE_PARAMS.heightRange, DRONE_PARAMS.distributions.height);
+        const distance = sampleDistribution(random, DRONE_PARAMS.distanceRange, DRONE_PARAMS.distributions.distance);
+        candidates.push({
+            lat: location.lat + distance * Math.sin(azimuth) / metersPerDegreeLat,
+            lon: location.lon + distance * Math.cos(azimuth) / metersPerDegreeLon,
+            height,
+            distance
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * Pick the first candidate whose pitch towards the target falls in DRONE_PARAMS.pitchRange
+ * @param {Array<Object>} candidates - Candidates from drawPlacementCandidates
+ * @param {Array<Object>} groundHeights - Sampled ground below each candidate
+ * @param {Number} targetHeight - Ellipsoid height of the point the camera looks at
+ * @returns {Object|null} - Candidate with groundHeight and pitch, or null if none fits
+ */
+function choosePlacement(candidates, groundHeights, targetHeight) {
+    for (let i = 0; i < candidates.length; i++) {
+        const groundHeight = groundHeights[i].height;
+        const pitch = -Math.atan2(groundHeight + candidates[i].height - targetHeight, candidates[i].distance);
+        if (pitch >= DRONE_PARAMS.pitchRange[0] && pitch <= DRONE_PARAMS.pitchRange[1]) {
+            return { ...candidates[i], groundHeight, pitch, attempt: i + 1 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Draw the field of view of a camera
+ * @param {Function} random - Random function
+ * @returns {Number} - Horizontal field of view in radians
+ */
+function drawFov(random) {
+    return Cesium.Math.toRadians(sampleDistribution(random, DRONE_PARAMS.fovRange, DRONE_PARAMS.distributions.fov));
+}
+
+/**
+ * Places a virtual object and generates camera positions looking at it
+ * The object points and the cameras are placed relative to the sampled terrain height below them
+ * @param {Object} location - The location data with lat, lon, ground height and seed
+ * @param {Function} random - Random function (default: the 'cameras' stream of the location seed)
+ * @param {Number} viewCount - Number of cameras (default: MULTI_VIEW_SETTINGS.viewCount)
+ * @returns {Promise<Object>} - Camera positions, virtual object position and sampled ground heights
+ */
+async function generateCameraPositions(location, random = createSeededStream(location.seed, 'cameras'),
+    viewCount = MULTI_VIEW_SETTINGS.viewCount) {
+    console.log("Setting up virtual object at location:", location);
     
-    virtualObjectPoints.push({
-        position: Cesium.Cartesian3.fromDegrees(
-            location.lon, 
-            location.lat + metersToDegreesLat/2, 
-            location.height + 2 + objectHeight
-        ),
-        type: 'mid_north'
+    // Layout of the 9 object points around the target
+    const pointLayout = getVirtualObjectLayout(location);
+    
+    // Camera azimuths around the target: any direction for camera 1, camera 2 rotated by
+    // an angle difference in [minAngleDiff, maxAngleDiff]
+    const camera1Angle = random() * Math.PI * 2;
+    const angleDiff = sampleDistribution(random,
+        [DRONE_PARAMS.minAngleDiff, DRONE_PARAMS.maxAngleDiff],
+        DRONE_PARAMS.distributions.angleDiff);
+    const azimuths = [camera1Angle, (camera1Angle + angleDiff) % (2 * Math.PI)];
+    const angleDiffs = [angleDiff];
+
+    // Height/distance candidates for each camera (a fixed number of draws keeps the
+    // later draws of the stream independent of which candidate is accepted), then the fovs
+    const candidates = azimuths.map(azimuth => drawPlacementCandidates(location, azimuth, random));
+    const fovs = azimuths.map(() => drawFov(random));
+
+    // Further cameras continue around the target from the previous one; they are drawn after
+    // the first two so that a seed places the cameras of the pair the same way for any view count
+    for (let view = 2; view < viewCount; view++) {
+        const diff = sampleDistribution(random,
+            [DRONE_PARAMS.minAngleDiff, DRONE_PARAMS.maxAngleDiff],
+            DRONE_PARAMS.distributions.angleDiff);
+        azimuths.push((azimuths[view - 1] + diff) % (2 * Math.PI));
+        angleDiffs.push(diff);
+        candidates.push(drawPlacementCandidates(location, azimuths[view], random));
+        fovs.push(drawFov(random));
+    }
+
+    // Sample the ground below every object point and all camera candidates in one request
+    const groundHeights = await sampleGroundHeights([
+        ...pointLayout,
+        ...candidates.flat()
+    ]);
+    const targetHeight = groundHeights[0].height + 2; // Virtual object center
+
+    const placements = candidates.map((cameraCandidates, view) => {
+        const offset = pointLayout.length + view * DRONE_PARAMS.placementAttempts;
+        const placement = choosePlacement(cameraCandidates,
+            groundHeights.slice(offset, offset + cameraCandidates.length), targetHeight);
+        if (!placement) {
+            throw new Error(`No placement for camera ${view + 1} within DRONE_PARAMS after ${DRONE_PARAMS.placementAttempts} attempts`);
+        }
+        return placement;
     });
-    
-    virtualObjectPoints.push({
+
+    // Create an array to hold all the points of the virtual object
+    const virtualObjectPoints = pointLayout.map((point, index) => ({
         position: Cesium.Cartesian3.fromDegrees(
-            location.lon - metersToDegreesLon/2, 
-            location.lat, 
-            location.height + 2 + objectHeight
+            point.lon,
+            point.lat,
+            groundHeights[index].height + point.aboveGround
         ),
-        type: 'mid_west'
-    });
+        type: point.type
+    }));
 
     // For backward compatibility, we'll use the center position as the main virtual object
-    const virtualObject = virtualObjectCenter;
+    const virtualObject = virtualObjectPoints[0].position;
     
     console.log("Virtual object placed at:", {
         lon: location.lon,
         lat: location.lat,
-        height: location.height + 2,
+        height: groundHeights[0].height + 2,
+        groundSource: groundHeights[0].source,
         sizeMeters: { width: 50, height: 2, length: 50 },
         pointCount: virtualObjectPoints.length
     });
 
-    // Camera 1: Position from one angle - use more constrained parameters
-    // Use higher elevation and shorter distance to ensure object is in field of view
-    const camera1Height = 150 + Math.random() * 100; // 150-250m height
-    const camera1Distance = 200 + Math.random() * 150; // 200-350m distance
-    const camera1Angle = Math.random() * Math.PI * 2; // Any angle for first camera
-
-    const camera1Position = Cesium.Cartesian3.fromDegrees(
-        location.lon + (camera1Distance / 111000) * Math.cos(camera1Angle),
-        location.lat + (camera1Distance / 111000) * Math.sin(camera1Angle),
-        camera1Height
-    );
-
-    // Calculate exact orientation to look directly at the virtual object
-    let camera1Direction = calculateOrientationToTarget(camera1Position, virtualObject);
-    
-    // Camera 2: Position from a substantially different angle
-    // Make sure the angle difference is at least 45 degrees but not more than 120
-    const angleDiff = Math.PI / 4 + Math.random() * Math.PI / 3; // 45-120 degrees
-    const camera2Angle = (camera1Angle + angleDiff) % (2 * Math.PI);
-    
-    // Use similar height range but different distance for perspective variation
-    const camera2Height = 150 + Math.random() * 100; // 150-250m height 
-    const camera2Distance = 200 + Math.random() * 150; // 200-350m distance
-
-    const camera2Position = Cesium.Cartesian3.fromDegrees(
-        location.lon + (camera2Distance / 111000) * Math.cos(camera2Angle),
-        location.lat + (camera2Distance / 111000) * Math.sin(camera2Angle),
-        camera2Height
-    );
-
-    // Calculate exact orientation for second camera to look at the virtual object
-    let camera2Direction = calculateOrientationToTarget(camera2Position, virtualObject);
+    // Each camera looks directly at the virtual object
+    const cameras = placements.map((placement, view) => {
+        const position = Cesium.Cartesian3.fromDegrees(
+            placement.lon,
+            placement.lat,
+            placement.groundHeight + placement.height
+        );
+        return {
+            position,
+            orientation: calculateOrientationToTarget(position, virtualObject),
+            fov: fovs[view],
+            groundHeight: placement.groundHeight,
+            sampled: placement
+        };
+    });
 
     console.log("Setup complete:", {
         virtualObject: {
             lat: location.lat,
             lon: location.lon,
-            height: location.height + 10
-        },
-        camera1: {
-            height: Math.round(camera1Height),
-            distance: Math.round(camera1Distance),
-            angle: Math.round(camera1Angle * 180 / Math.PI),
-            heading: Math.round(Cesium.Math.toDegrees(camera1Direction.heading)),
-            pitch: Math.round(Cesium.Math.toDegrees(camera1Direction.pitch))
-        },
-        camera2: {
-            height: Math.round(camera2Height),
-            distance: Math.round(camera2Distance),
-            angle: Math.round(camera2Angle * 180 / Math.PI),
-            heading: Math.round(Cesium.Math.toDegrees(camera2Direction.heading)),
-            pitch: Math.round(Cesium.Math.toDegrees(camera2Direction.pitch))
+            height: targetHeight
         },
-        angleDiff: Math.round(angleDiff * 180 / Math.PI)
+        cameras: cameras.map((camera, view) => ({
+            height: Math.round(camera.sampled.height),
+            groundHeight: Math.round(camera.groundHeight),
+            distance: Math.round(camera.sampled.distance),
+            angle: Math.round(azimuths[view] * 180 / Math.PI),
+            heading: Math.round(Cesium.Math.toDegrees(camera.orientation.heading)),
+            pitch: Math.round(Cesium.Math.toDegrees(camera.orientation.pitch))
+        })),
+        angleDiffs: angleDiffs.map(diff => Math.round(diff * 180 / Math.PI))
     });
 
-    // Add FOV validation
-    const fovRange = DRONE_PARAMS.fovRange || [55, 75]; // Fallback range
-    const fov1 = Cesium.Math.toRadians(
-        (fovRange[0] || 55) + 
-        Math.random() * ((fovRange[1] || 75) - (fovRange[0] || 55))
-    );
-    
-    const fov2 = Cesium.Math.toRadians(
-        (fovRange[0] || 55) + 
-        Math.random() * ((fovRange[1] || 75) - (fovRange[0] || 55))
-    );
-
     return {
         virtualObject,
         virtualObjectPoints,
-        camera1: {
-            position: camera1Position,
-            orientation: camera1Direction,
-            fov: fov1
-        },
-        camera2: {
-            position: camera2Position,
-            orientation: camera2Direction,
-            fov: fov2
-        }
+        cameras,
+        angleDiffs,
+        groundHeightSource: groundHeights[0].source
+    };
+}
+
+/**
+ * Move a camera sideways and up so the target lands off the image center
+ * The camera keeps its orientation; the shift is a fraction of the half-view at the target distance
+ * @param {Cesium.Camera} camera - Camera looking at the target
+ * @param {Cesium.Cartesian3} target - The target position
+ * @param {Object} offset - { x, y } fractions of the half-view width and height
+ */
+function applyViewOffset(camera, target, offset) {
+    const range = Cesium.Cartesian3.distance(camera.positionWC, target);
+    const offsetX = offset.x * range * Math.tan(camera.frustum.fov / 2);
+    const offsetY = offset.y * range * Math.tan(camera.frustum.fovy / 2);
+    
+    const newPos = camera.position.clone();
+    Cesium.Cartesian3.add(newPos, Cesium.Cartesian3.multiplyByScalar(camera.right, offsetX, new Cesium.Cartesian3()), newPos);
+    Cesium.Cartesian3.add(newPos, Cesium.Cartesian3.multiplyByScalar(camera.up, offsetY, new Cesium.Cartesian3()), newPos);
+    camera.position = newPos;
+}
+
+/**
+ * Turn a camera so the target lands at a point of the image, with a roll
+ * The camera keeps its position
+ * @param {Cesium.Camera} camera - Camera at its final position
+ * @param {Cesium.Cartesian3} target - The target position
+ * @param {Object} attitude - { imagePoint: { x, y }, roll } with the image point in fractions of the image and the roll in radians
+ */
+function applyViewAttitude(camera, target, attitude) {
+    camera.setView({
+        orientation: calculateOrientationForImagePoint(
+            camera.positionWC, target, attitude.imagePoint, attitude.roll, camera.frustum)
+    });
+}
+
+/**
+ * Measure the realised placement of a camera relative to the target
+ * @param {Cesium.Camera} camera - The final camera
+ * @param {Cesium.Cartesian3} target - The target position
+ * @param {Object} ground - Result of getHeightAboveGround for the camera
+ * @param {Number} pitch - Pitch checked against DRONE_PARAMS.pitchRange (default: the camera pitch)
+ * @returns {Object} - { height, distance, pitch, fov, azimuth } (meters, radians, degrees for fov)
+ */
+function measurePlacement(camera, target, ground, pitch = camera.pitch) {
+    // Camera position in the local east-north-up frame of the target
+    const toTargetFrame = Cesium.Matrix4.inverseTransformation(
+        Cesium.Transforms.eastNorthUpToFixedFrame(target), new Cesium.Matrix4());
+    const local = Cesium.Matrix4.multiplyByPoint(toTargetFrame, camera.positionWC, new Cesium.Cartesian3());
+    
+    return {
+        height: ground.aboveGround,
+        distance: Math.hypot(local.x, local.y),
+        pitch,
+        fov: Cesium.Math.toDegrees(camera.frustum.fov),
+        azimuth: Math.atan2(local.y, local.x)
+    };
+}
+
+/**
+ * Check realised camera placements against DRONE_PARAMS
+ * The angle difference is checked between consecutive cameras (camera N against camera N-1)
+ * @param {Array<Object>} cameras - Placement of each camera from measurePlacement
+ * @returns {Object} - { cameras, angleDiffs, violations, isValid }
+ */
+function validatePlacement(cameras) {
+    // Angle around the target between each camera and the previous one, in [0, PI]
+    const angleDiffs = cameras.slice(1).map((camera, index) => {
+        const angleDiff = Math.abs(camera.azimuth - cameras[index].azimuth) % (2 * Math.PI);
+        return angleDiff > Math.PI ? 2 * Math.PI - angleDiff : angleDiff;
+    });
+    
+    const checks = [];
+    cameras.forEach((camera, index) => {
+        const name = `camera${index + 1}`;
+        checks.push(
+            [`${name}.height`, camera.height, DRONE_PARAMS.heightRange],
+            [`${name}.distance`, camera.distance, DRONE_PARAMS.distanceRange],
+            [`${name}.pitch`, camera.pitch, DRONE_PARAMS.pitchRange],
+            [`${name}.fov`, camera.fov, DRONE_PARAMS.fovRange]
+        );
+    });
+    angleDiffs.forEach((angleDiff, index) => {
+        checks.push([`camera${index + 2}.angleDiff`, angleDiff, [DRONE_PARAMS.minAngleDiff, DRONE_PARAMS.maxAngleDiff]]);
+    });
+    
+    // Small tolerance for floating point round trips (e.g. the fov in degrees)
+    const violations = checks
+        .filter(([, value, range]) => {
+            const tolerance = (range[1] - range[0]) * 1e-6;
+            return !(value >= range[0] - tolerance && value <= range[1] + tolerance);
+        })
+        .map(([name, value, range]) => ({ name, value, range }));
+    
+    return {
+        cameras,
+        angleDiffs,
+        violations,
+        isValid: violations.length === 0
     };
 }
 
@@ -397,9 +445,10 @@ async function findMatchingPoints(viewer1, viewer2, virtualObject) {
     const view1Pos = Cesium.SceneTransforms.wgs84ToWindowCoordinates(viewer1.scene, virtualObject);
     const view2Pos = Cesium.SceneTransforms.wgs84ToWindowCoordinates(viewer2.scene, virtualObject);
     
-    // Calculate viewport dimensions
-    const halfWidth = viewer1.canvas.width / 2;
-    const fullHeight = viewer1.canvas.height;
+    // Calculate viewport dimensions in CSS pixels, the units of wgs84ToWindowCoordinates
+    // (both viewers have the same size)
+    const viewWidth = viewer1.canvas.clientWidth;
+    const viewHeight = viewer1.canvas.clientHeight;
     
     // Debug variables
     const startTime = Date.now();
@@ -428,35 +477,35 @@ async function findMatchingPoints(viewer1, viewer2, virtualObject) {
     
     // Adjust view2 position for the split-screen display
     const adjustedView2Pos = { 
-        x: view2Pos.x + halfWidth, // Adjust for split-screen
+        x: view2Pos.x + viewWidth, // Adjust for split-screen
         y: view2Pos.y
     };
     
     // Define safe margins (10% of viewport)
-    const marginX = halfWidth * 0.1; 
-    const marginY = fullHeight * 0.1;
+    const marginX = viewWidth * 0.1; 
+    const marginY = viewHeight * 0.1;
     
     // Check if points are within safe viewing area
     const inSafeArea1 = view1Pos.x >= marginX && 
-                       view1Pos.x <= halfWidth - marginX &&
+                       view1Pos.x <= viewWidth - marginX &&
                        view1Pos.y >= marginY && 
-                       view1Pos.y <= fullHeight - marginY;
+                       view1Pos.y <= viewHeight - marginY;
     
     const inSafeArea2 = view2Pos.x >= marginX && 
-                       view2Pos.x <= halfWidth - marginX &&
+                       view2Pos.x <= viewWidth - marginX &&
                        view2Pos.y >= marginY && 
-                       view2Pos.y <= fullHeight - marginY;
+                       view2Pos.y <= viewHeight - marginY;
     
     // Check if points are at least in the visible area
     const inView1 = view1Pos.x >= 0 && 
-                   view1Pos.x <= halfWidth &&
+                   view1Pos.x <= viewWidth &&
                    view1Pos.y >= 0 && 
-                   view1Pos.y <= fullHeight;
+                   view1Pos.y <= viewHeight;
     
     const inView2 = view2Pos.x >= 0 && 
-                   view2Pos.x <= halfWidth &&
+                   view2Pos.x <= viewWidth &&
                    view2Pos.y >= 0 && 
-                   view2Pos.y <= fullHeight;
+                   view2Pos.y <= viewHeight;
     
     // Create the matching point object
     const matchingPoint = {
@@ -504,6 +553,61 @@ async function findMatchingPoints(viewer1, viewer2, virtualObject) {
     };
 }
 
+/**
+ * Resolve randomised view settings into concrete values
+ * Any [min, max] array in the globe, fog or imagery sections is replaced by a uniform
+ * sample drawn from the given random function; other values are copied as-is
+ * @param {Object} viewSettings - View settings from VIEW_SETTINGS
+ * @param {Function} random - Random function (usually a stream of the pair seed)
+ * @returns {Object} - View settings with concrete values only
+ */
+function resolveViewSettings(viewSettings, random) {
+    const resolved = { ...viewSettings };
+    
+    ['globe', 'fog', 'imageryAdjustments'].forEach(section => {
+        if (!viewSettings[section]) return;
+        
+        resolved[section] = {};
+        Object.entries(viewSettings[section]).forEach(([key, value]) => {
+            resolved[section][key] = Array.isArray(value) ? randomInRange(random, value) : value;
+        });
+    });
+    
+    return resolved;
+}
+
+/**
+ * Size a view container to the output size (OUTPUT_SETTINGS) instead of half the window
+ * @param {HTMLElement} container - View container
+ */
+function applyOutputSize(container) {
+    if (!OUTPUT_SETTINGS.enabled) return;
+    
+    container.style.width = `${OUTPUT_SETTINGS.width}px`;
+    container.style.height = `${OUTPUT_SETTINGS.height}px`;
+    container.style.flex = 'none';
+}
+
+/**
+ * Render a viewer at the output resolution (OUTPUT_SETTINGS)
+ * The canvas fills its container, so the container sets the size in CSS pixels and the
+ * resolution scale the image pixels per CSS pixel
+ * @param {Cesium.Viewer} viewer - The Cesium viewer
+ * @param {HTMLElement} container - Container of the viewer
+ */
+function applyOutputResolution(viewer, container) {
+    if (!OUTPUT_SETTINGS.enabled) return;
+    
+    applyOutputSize(container);
+    
+    // Same image size on every machine, whatever the devicePixelRatio
+    viewer.useBrowserRecommendedResolution = true;
+    viewer.resolutionScale = OUTPUT_SETTINGS.resolutionScale;
+    
+    // Resize now rather than on the next frame of the render loop
+    viewer.resize();
+}
+
 /**
  * CameraView class to encapsulate view-specific settings and rendering
  */
@@ -522,8 +626,15 @@ class CameraView {
         // Clear container
         document.getElementById(elementId).innerHTML = '';
         
+        // Imagery of the view's provider (the local tiles in offline mode)
+        viewerSettings = {
+            ...viewerSettings,
+            baseLayer: createImageryLayer(viewSettings.imagery, elementId)
+        };
+        
         // Create viewer
         this.viewer = new Cesium.Viewer(elementId, viewerSettings);
+        applyOutputResolution(this.viewer, document.getElementById(elementId));
         
         // Apply view-specific settings
         this.applySettings();
@@ -562,6 +673,9 @@ class CameraView {
                 }
             }
         }
+        
+        // Apply the sampled time, sun light, shadows and haze (see js/augmentation.js)
+        applyEnvironment(this.viewer, this.settings.environment);
     }
     
     /**
@@ -732,23 +846,22 @@ class CameraView {
     
     /**
      * Capture a screenshot of the current view
-     * @param {Number} quality - JPEG quality (0-1)
-     * @returns {String} Data URL of the screenshot
+     * @param {Number} quality - JPEG / WebP quality (0-1, default: IMAGE_FORMAT.quality)
+     * @returns {String} Data URL of the screenshot in the IMAGE_FORMAT type
      */
-    captureScreenshot(quality = 0.95) {
+    captureScreenshot(quality = IMAGE_FORMAT.quality) {
         this.render();
-        return this.viewer.canvas.toDataURL('image/jpeg', quality);
+        return encodeCanvasImage(this.viewer.canvas, quality);
     }
 }
 
 /**
- * Sets up camera views and positioning for both viewers
- * @param {Cesium.Viewer} viewer1 - First Cesium viewer
- * @param {Cesium.Viewer} viewer2 - Second Cesium viewer
+ * Sets up camera views and positioning for all viewers
+ * @param {Array<Cesium.Viewer>} viewers - Cesium viewers, one per view (at least two)
  * @param {Object} location - Location data with lat, lon, height (optional)
  * @returns {Promise<Object>} - Setup information including matching points
  */
-async function setupCameraViews(viewer1, viewer2, location) {
+async function setupCameraViews(viewers, location) {
     console.log("Setting up scene with virtual object approach...");
     
     if (!location) {
@@ -756,272 +869,177 @@ async function setupCameraViews(viewer1, viewer2, location) {
     }
     
     // Generate camera positions with a virtual object to track
-    const sceneSetup = generateCameraPositions(location);
-    
-    // Create arrays to track all entities for later reference
-    const entities1 = [];
-    const entities2 = [];
-    
-    // Add a visible marker at the main virtual object position (center)
-    const objectEntity = viewer1.entities.add({
-        id: "virtualObject_center",
-        position: sceneSetup.virtualObject,
-        point: {
-            pixelSize: 8,
-            color: Cesium.Color.YELLOW,
-            outlineColor: Cesium.Color.BLACK,
-            outlineWidth: 1,
-            disableDepthTestDistance: Number.POSITIVE_INFINITY
-        }
-    });
-    entities1.push(objectEntity);
-    
-    // Also add to second viewer
-    const objectEntity2 = viewer2.entities.add({
-        id: "virtualObject_center",
-        position: sceneSetup.virtualObject,
-        point: {
-            pixelSize: 8,
-            color: Cesium.Color.YELLOW,
-            outlineColor: Cesium.Color.BLACK,
-            outlineWidth: 1,
-            disableDepthTestDistance: Number.POSITIVE_INFINITY
-        }
-    });
-    entities2.push(objectEntity2);
-    
-    // Add a small ground reference point
-    const groundReference = viewer1.entities.add({
-        position: Cesium.Cartesian3.fromDegrees(location.lon, location.lat, location.height),
-        cylinder: {
-            length: 2,
-            topRadius: 2,
-            bottomRadius: 2,
-            material: Cesium.Color.YELLOW.withAlpha(0.5),
-            outline: true,
-            outlineColor: Cesium.Color.BLACK
-        }
-    });
-    entities1.push(groundReference);
-    
-    const groundReference2 = viewer2.entities.add({
-        position: Cesium.Cartesian3.fromDegrees(location.lon, location.lat, location.height),
-        cylinder: {
-            length: 2,
-            topRadius: 2,
-            bottomRadius: 2,
-            material: Cesium.Color.YELLOW.withAlpha(0.5),
-            outline: true,
-            outlineColor: Cesium.Color.BLACK
-        }
-    });
-    entities2.push(groundReference2);
-    
-    // Add all the virtual object points as entities with different colors
-    // based on their type
-    sceneSetup.virtualObjectPoints.forEach(pointObj => {
-        if (pointObj.type === 'center') {
-            // We already added the center point
-            return;
-        }
-        
-        // Pick color based on point type
-        let color;
-        if (pointObj.type.startsWith('corner')) {
-            color = Cesium.Color.RED;
-        } else if (pointObj.type.startsWith('mid')) {
-            color = Cesium.Color.GREEN;
-        } else {
-            color = Cesium.Color.BLUE;
-        }
+    const sceneSetup = await generateCameraPositions(location, undefined, viewers.length);
+    
+    // Track the entities of each view for later reference
+    const entities = viewers.map(viewer => {
+        const viewEntities = [];
         
-        // Add to first viewer
-        const entity1 = viewer1.entities.add({
-            id: `virtualObject_${pointObj.type}`,
-            position: pointObj.position,
+        // Add a visible marker at the main virtual object position (center)
+        viewEntities.push(viewer.entities.add({
+            id: "virtualObject_center",
+            position: sceneSetup.virtualObject,
             point: {
-                pixelSize: 6,
-                color: color,
+                pixelSize: 8,
+                color: Cesium.Color.YELLOW,
                 outlineColor: Cesium.Color.BLACK,
                 outlineWidth: 1,
                 disableDepthTestDistance: Number.POSITIVE_INFINITY
             }
-        });
-        entities1.push(entity1);
+        }));
         
-        // Add to second viewer
-        const entity2 = viewer2.entities.add({
-            id: `virtualObject_${pointObj.type}`,
-            position: pointObj.position,
-            point: {
-                pixelSize: 6,
-                color: color,
-                outlineColor: Cesium.Color.BLACK,
-                outlineWidth: 1,
-                disableDepthTestDistance: Number.POSITIVE_INFINITY
+        // Add a small ground reference point
+        viewEntities.push(viewer.entities.add({
+            position: Cesium.Cartesian3.fromDegrees(location.lon, location.lat, location.height),
+            cylinder: {
+                length: 2,
+                topRadius: 2,
+                bottomRadius: 2,
+                material: Cesium.Color.YELLOW.withAlpha(0.5),
+                outline: true,
+                outlineColor: Cesium.Color.BLACK
+            }
+        }));
+        
+        // Add all the virtual object points as entities with different colors
+        // based on their type
+        sceneSetup.virtualObjectPoints.forEach(pointObj => {
+            if (pointObj.type === 'center') {
+                // We already added the center point
+                return;
+            }
+            
+            // Pick color based on point type
+            let color;
+            if (pointObj.type.startsWith('corner')) {
+                color = Cesium.Color.RED;
+            } else if (pointObj.type.startsWith('mid')) {
+                color = Cesium.Color.GREEN;
+            } else {
+                color = Cesium.Color.BLUE;
             }
+            
+            viewEntities.push(viewer.entities.add({
+                id: `virtualObject_${pointObj.type}`,
+                position: pointObj.position,
+                point: {
+                    pixelSize: 6,
+                    color: color,
+                    outlineColor: Cesium.Color.BLACK,
+                    outlineWidth: 1,
+                    disableDepthTestDistance: Number.POSITIVE_INFINITY
+                }
+            }));
         });
-        entities2.push(entity2);
+        
+        return viewEntities;
     });
     
-    // Calculate the distance between the two camera positions (for stats)
+    // Calculate the distance between the first two camera positions (for stats)
     const distance = Cesium.Cartesian3.distance(
-        sceneSetup.camera1.position, 
-        sceneSetup.camera2.position
+        sceneSetup.cameras[0].position, 
+        sceneSetup.cameras[1].position
     );
     
-    // First, set up initial camera positions
-    viewer1.camera.setView({
-        destination: sceneSetup.camera1.position,
-        orientation: sceneSetup.camera1.orientation
-    });
-    
-    viewer2.camera.setView({
-        destination: sceneSetup.camera2.position,
-        orientation: sceneSetup.camera2.orientation
+    // First, set up initial camera positions, then the FOV
+    viewers.forEach((viewer, view) => {
+        viewer.camera.setView({
+            destination: sceneSetup.cameras[view].position,
+            orientation: sceneSetup.cameras[view].orientation
+        });
+        viewer.camera.frustum.fov = sceneSetup.cameras[view].fov;
     });
     
-    // Set FOV after positioning cameras
-    viewer1.camera.frustum.fov = sceneSetup.camera1.fov;
-    viewer2.camera.frustum.fov = sceneSetup.camera2.fov;
-    
     // Make the virtual object visible but not centered
-    // Use viewer.zoomTo with offset to ensure it's in the viewport but not in the center
-    await Promise.all([
-        new Promise(resolve => {
-            // Use a heading/pitch/range option to maintain our desired viewing angle
-            const heading = viewer1.camera.heading;
-            const pitch = viewer1.camera.pitch;
-            
-            // First zoom to frame the object properly
-            viewer1.zoomTo(objectEntity, new Cesium.HeadingPitchRange(
-                heading,
-                pitch,
-                300.0 // Fixed distance for good visibility
-            )).then(() => {
-                // Then apply a random offset to avoid centering
-                // Offset by -30% to +30% of the view dimensions
-                const offsetX = (Math.random() * 0.6 - 0.3) * viewer1.canvas.width * 0.5;
-                const offsetY = (Math.random() * 0.6 - 0.3) * viewer1.canvas.height * 0.5;
-                
-                // Move the camera but keep looking at the same spot
-                const currentPos = viewer1.camera.position.clone();
-                const right = viewer1.camera.right.clone();
-                const up = viewer1.camera.up.clone();
-                
-                // Scale the right and up vectors by the offset amounts
-                const rightScaled = Cesium.Cartesian3.multiplyByScalar(right, offsetX, new Cesium.Cartesian3());
-                const upScaled = Cesium.Cartesian3.multiplyByScalar(up, offsetY, new Cesium.Cartesian3());
-                
-                // Calculate the new position by adding the offset vectors
-                const newPos = Cesium.Cartesian3.add(currentPos, rightScaled, new Cesium.Cartesian3());
-                Cesium.Cartesian3.add(newPos, upScaled, newPos);
-                
-                // Set the new position
-                viewer1.camera.position = newPos;
-                
-                resolve();
-            });
-        }),
-        new Promise(resolve => {
-            const heading = viewer2.camera.heading;
-            const pitch = viewer2.camera.pitch;
-            
-            // Similar process for viewer2
-            viewer2.zoomTo(objectEntity2, new Cesium.HeadingPitchRange(
-                heading,
-                pitch,
-                300.0
-            )).then(() => {
-                // Apply a different random offset to this view
-                const offsetX = (Math.random() * 0.6 - 0.3) * viewer2.canvas.width * 0.5;
-                const offsetY = (Math.random() * 0.6 - 0.3) * viewer2.canvas.height * 0.5;
-                
-                const currentPos = viewer2.camera.position.clone();
-                const right = viewer2.camera.right.clone();
-                const up = viewer2.camera.up.clone();
-                
-                const rightScaled = Cesium.Cartesian3.multiplyByScalar(right, offsetX, new Cesium.Cartesian3());
-                const upScaled = Cesium.Cartesian3.multiplyByScalar(up, offsetY, new Cesium.Cartesian3());
-                
-                const newPos = Cesium.Cartesian3.add(currentPos, rightScaled, new Cesium.Cartesian3());
-                Cesium.Cartesian3.add(newPos, upScaled, newPos);
-                
-                viewer2.camera.position = newPos;
-                
-                resolve();
-            });
-        })
-    ]);
+    const targetPlacement = ATTITUDE_SETTINGS.targetPlacement;
+    let attitudes = null;
+    if (targetPlacement === 'translate') {
+        // Offset by -30% to +30% of the view dimensions, drawn from the pair seed
+        const offsetRandom = createSeededStream(location.seed, 'viewOffsets');
+        const offsets = viewers.map(() => ({ x: offsetRandom() * 0.6 - 0.3, y: offsetRandom() * 0.6 - 0.3 }));
+        viewers.forEach((viewer, view) => applyViewOffset(viewer.camera, sceneSetup.virtualObject, offsets[view]));
+    } else if (targetPlacement === 'rotate') {
+        // Image position of the target and roll of each camera, drawn from the pair seed
+        const attitudeRandom = createSeededStream(location.seed, 'attitude');
+        attitudes = viewers.map(() => ({
+            imagePoint: {
+                x: randomInRange(attitudeRandom, ATTITUDE_SETTINGS.targetRegion.x),
+                y: randomInRange(attitudeRandom, ATTITUDE_SETTINGS.targetRegion.y)
+            },
+            roll: Cesium.Math.toRadians(randomInRange(attitudeRandom, ATTITUDE_SETTINGS.rollRange))
+        }));
+        viewers.forEach((viewer, view) => applyViewAttitude(viewer.camera, sceneSetup.virtualObject, attitudes[view]));
+    } else {
+        throw new Error(`Unknown target placement "${targetPlacement}" - expected 'rotate' or 'translate'`);
+    }
     
     // Render the scenes to update
-    viewer1.scene.render();
-    viewer2.scene.render();
+    viewers.forEach(viewer => viewer.scene.render());
     
-    // Get precise 2D coordinates of our 3D virtual object in both views
+    // Get precise 2D coordinates of our 3D virtual object in all views
     // This is the critical step to get accurate projection coordinates
-    viewer1.scene.render();
-    viewer2.scene.render();
+    viewers.forEach(viewer => viewer.scene.render());
+    
+    // Project the 3D positions (and the target, to export where it landed) to 2D screen
+    // coordinates one view at a time (a shared viewer renders the views in turn)
+    const targetPositions = [];
+    const projections = viewers.map(viewer => {
+        const scene = viewer.scene;
+        targetPositions.push(Cesium.SceneTransforms.wgs84ToWindowCoordinates(scene, sceneSetup.virtualObject) || null);
+        return sceneSetup.virtualObjectPoints.map(pointObj =>
+            Cesium.SceneTransforms.wgs84ToWindowCoordinates(scene, pointObj.position) || null);
+    });
     
     // Create matching points for all the virtual object points
     const matchingPoints = [];
-    const view2Width = viewer2.canvas.clientWidth;
-    
-    // Project each of the 9 points to screen coordinates
-    for (const pointObj of sceneSetup.virtualObjectPoints) {
-        // Project the 3D position to 2D screen coordinates in both views
-        const view1Pos = Cesium.SceneTransforms.wgs84ToWindowCoordinates(
-            viewer1.scene, 
-            pointObj.position
-        );
-        
-        const view2Pos = Cesium.SceneTransforms.wgs84ToWindowCoordinates(
-            viewer2.scene, 
-            pointObj.position
-        );
+    
+    // Collect the screen coordinates of each of the 9 points
+    sceneSetup.virtualObjectPoints.forEach((pointObj, pointIndex) => {
+        const viewPositions = projections.map(positions => positions[pointIndex]);
+        const view2Pos = viewPositions[1];
         
         // For the visualization overlay, adjust the second viewer's coordinates
         // to account for the split screen layout
         const adjustedView2Pos = view2Pos ? { 
-            x: view2Pos.x + viewer1.canvas.clientWidth, // Add full width of first viewer
+            x: view2Pos.x + viewers[0].canvas.clientWidth, // Add full width of first viewer
             y: view2Pos.y
         } : null;
         
-        // Check if this point is visible in both views
-        const isInView1 = view1Pos && isInViewport(view1Pos, viewer1.canvas.width/2, viewer1.canvas.height);
-        const isInView2 = view2Pos && isInViewport(view2Pos, viewer2.canvas.width/2, viewer2.canvas.height);
+        // Check if this point is visible in every view
+        const isInViews = viewPositions.map((position, view) =>
+            isInViewport(position, viewers[view].canvas.clientWidth, viewers[view].canvas.clientHeight));
         
         // Create the matching point data structure using the direct projections
         const matchingPoint = {
             point3D: pointObj.position,
             pointType: pointObj.type,
-            view1Pos: view1Pos,
+            viewPositions,
+            view1Pos: viewPositions[0],
             view2Pos: adjustedView2Pos,
             isCorrect: true,
-            // Note if either point is outside the standard viewport bounds
-            isForcedMatch: !isInView1 || !isInView2
+            // Note if the point is outside the standard viewport bounds of any view
+            isForcedMatch: !isInViews.every(Boolean)
         };
         
         matchingPoints.push(matchingPoint);
-    }
+    });
+    
+    // Points projected into all views and inside their viewport bounds
+    const visibleMatchingPoints = matchingPoints.filter(point => 
+        point.viewPositions.every(Boolean) && !point.isForcedMatch);
     
-    // At least one point must be valid for the pairing to be valid
-    const isValid = matchingPoints.some(point => 
-        point.view1Pos && point.view2Pos && 
-        !point.isForcedMatch);
+    // At least one point must be valid for the setup to be valid
+    const isValid = visibleMatchingPoints.length > 0;
     
-    // Calculate how many points are visible in both views
-    const visiblePoints = matchingPoints.filter(point => 
-        point.view1Pos && point.view2Pos && !point.isForcedMatch).length;
+    // Calculate how many points are visible in all views
+    const visiblePoints = visibleMatchingPoints.length;
     
     // Create debug info
     const debugInfo = {
         duration: 0,
         totalPoints: matchingPoints.length,
         validPoints: visiblePoints,
-        visiblePointTypes: matchingPoints
-            .filter(p => p.view1Pos && p.view2Pos && !p.isForcedMatch)
-            .map(p => p.pointType)
+        visiblePointTypes: visibleMatchingPoints.map(p => p.pointType)
     };
     
     // Helper function to check if a point is within viewport bounds
@@ -1034,17 +1052,46 @@ async function setupCameraViews(viewer1, viewer2, location) {
     
     // Validation complete
 
-    // Calculate camera altitudes relative to ground for display
-    const cart1 = Cesium.Cartographic.fromCartesian(viewer1.camera.position);
-    const cart2 = Cesium.Cartographic.fromCartesian(viewer2.camera.position);
-    const altitude1 = Math.round(cart1.height - location.height);
-    const altitude2 = Math.round(cart2.height - location.height);
-    
-    // Calculate and log camera angles of view after zoomTo
-    const view1Heading = Cesium.Math.toDegrees(viewer1.camera.heading);
-    const view1Pitch = Cesium.Math.toDegrees(viewer1.camera.pitch);
-    const view2Heading = Cesium.Math.toDegrees(viewer2.camera.heading);
-    const view2Pitch = Cesium.Math.toDegrees(viewer2.camera.pitch);
+    // Calculate camera altitudes relative to the target ground for display
+    const altitudes = viewers.map(viewer =>
+        Math.round(Cesium.Cartographic.fromCartesian(viewer.camera.position).height - location.height));
+    
+    // Height above the terrain directly below each final camera position
+    const grounds = await Promise.all(viewers.map(viewer => getHeightAboveGround(viewer.camera.positionWC)));
+    
+    // Realised placement of the final cameras, checked against DRONE_PARAMS
+    // (rotated cameras are checked with the pitch of the line of sight to the target)
+    const placement = validatePlacement(viewers.map((viewer, view) =>
+        measurePlacement(viewer.camera, sceneSetup.virtualObject, grounds[view],
+            attitudes ? calculateOrientationToTarget(viewer.camera.positionWC, sceneSetup.virtualObject).pitch : viewer.camera.pitch)));
+    
+    // Realised attitude and where the target landed in each image
+    placement.cameras.forEach((camera, view) => {
+        camera.sampled = sceneSetup.cameras[view].sampled;
+        
+        const targetPosition = targetPositions[view];
+        camera.attitude = {
+            targetPlacement,
+            heading: viewers[view].camera.heading,
+            pitch: viewers[view].camera.pitch,
+            roll: viewers[view].camera.roll,
+            targetImagePoint: targetPosition ? {
+                x: targetPosition.x / viewers[view].canvas.clientWidth,
+                y: targetPosition.y / viewers[view].canvas.clientHeight
+            } : null,
+            sampled: attitudes ? {
+                targetImagePoint: attitudes[view].imagePoint,
+                roll: attitudes[view].roll
+            } : null
+        };
+    });
+    if (!placement.isValid) {
+        console.warn("Camera placement outside DRONE_PARAMS:", placement.violations);
+    }
+    
+    // Calculate and log camera angles of view
+    const headings = viewers.map(viewer => Cesium.Math.toDegrees(viewer.camera.heading));
+    const pitches = viewers.map(viewer => Cesium.Math.toDegrees(viewer.camera.pitch));
     
     // Get geographic coordinates of the central virtual object point
     const objectCart = Cesium.Cartographic.fromCartesian(sceneSetup.virtualObject);
@@ -1060,18 +1107,13 @@ async function setupCameraViews(viewer1, viewer2, location) {
         visiblePoints: visiblePoints
     });
     
-    console.log("Camera setup after zoomTo:", {
-        camera1: { 
-            heading: Math.round(view1Heading), 
-            pitch: Math.round(view1Pitch),
-            height: altitude1
-        },
-        camera2: { 
-            heading: Math.round(view2Heading), 
-            pitch: Math.round(view2Pitch),
-            height: altitude2
-        },
-        angleDiff: Math.round(Math.abs(view1Heading - view2Heading))
+    console.log("Final camera setup:", {
+        cameras: viewers.map((viewer, view) => ({
+            heading: Math.round(headings[view]), 
+            pitch: Math.round(pitches[view]),
+            height: altitudes[view]
+        })),
+        angleDiff: Math.round(Math.abs(headings[0] - headings[1]))
     });
     
     // Return complete setup information
@@ -1079,19 +1121,20 @@ async function setupCameraViews(viewer1, viewer2, location) {
         virtualObject: sceneSetup.virtualObject,
         virtualObjectPoints: sceneSetup.virtualObjectPoints,
         matchingPoints,
-        isValid,
-        entities: {
-            view1: entities1,
-            view2: entities2
-        },
+        isValid: isValid && placement.isValid,
+        placement,
+        entities: Object.fromEntries(entities.map((viewEntities, view) => [`view${view + 1}`, viewEntities])),
         stats: {
             location: location.name,
             region: location.region || "Unknown Region",
-            altitude1,
-            altitude2,
+            seed: location.seed,
+            viewCount: viewers.length,
+            altitudes,
+            aboveGround: grounds.map(ground => Math.round(ground.aboveGround)),
+            groundHeightSource: sceneSetup.groundHeightSource,
             distance: Math.round(distance),
-            headingDiff: Math.round(Math.abs(view1Heading - view2Heading)),
-            pitchDiff: Math.round(Math.abs(view1Pitch - view2Pitch)),
+            headingDiff: Math.round(Math.abs(headings[0] - headings[1])),
+            pitchDiff: Math.round(Math.abs(pitches[0] - pitches[1])),
             objectCoords: {
                 lat: Math.round(objectLat * 1000000) / 1000000,
                 lon: Math.round(objectLon * 1000000) / 1000000,
@@ -1105,16 +1148,20 @@ async function setupCameraViews(viewer1, viewer2, location) {
             pointCount: matchingPoints.length,
             visiblePoints: visiblePoints,
             debug: debugInfo,
-            fov1: Cesium.Math.toDegrees(sceneSetup.camera1.fov).toFixed(1),
-            fov2: Cesium.Math.toDegrees(sceneSetup.camera2.fov).toFixed(1)
+            fovs: sceneSetup.cameras.map(camera => Cesium.Math.toDegrees(camera.fov).toFixed(1)),
+            placementViolations: placement.violations
         }
     };
 }
 
 export {
     generateRandomLocation,
+    getVirtualObjectLayout,
     generateCameraPositions,
     findMatchingPoints,
     setupCameraViews,
+    resolveViewSettings,
+    applyOutputSize,
+    applyOutputResolution,
     CameraView
 };
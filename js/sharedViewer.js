@@ -0,0 +1,254 @@
+/**
+ * Single-viewer render path (RENDER_SETTINGS.mode 'shared')
+ *
+ * One Cesium.Viewer renders every view in turn instead of one viewer (and WebGL context) per view.
+ * Each view is a SharedView that stands in for a Cesium.Viewer: it has its own camera and entities,
+ * and accessing its scene switches the shared scene to that view (camera, imagery layer and
+ * adjustments, globe and fog settings, environment) and renders it. Every render is copied to the 2D canvas of
+ * the active view, which is what is displayed and captured.
+ *
+ * Code working with several views must finish with one view's scene before using the next one
+ */
+
+import { RENDER_SETTINGS, OFFLINE_SETTINGS, VIEWER_SETTINGS1 } from './config.js';
+import { createImageryLayer } from './imageryProviders.js';
+import { applyOutputSize, applyOutputResolution } from './sceneGenerator.js';
+import { captureEnvironmentDefaults, applyEnvironment } from './augmentation.js';
+
+/**
+ * Set the properties of a view, first restoring the ones a previous view overrode
+ * @param {Object} target - Object to update (globe or fog)
+ * @param {Object} overrides - Properties of the view (optional)
+ * @param {Object} defaults - Original value of every property overridden so far (updated in place)
+ */
+function applyOverrides(target, overrides, defaults) {
+    Object.entries(defaults).forEach(([key, value]) => {
+        target[key] = value;
+    });
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        if (!(key in defaults)) defaults[key] = target[key];
+        target[key] = value;
+    });
+}
+
+/**
+ * A view rendered by the shared viewer, used in place of a Cesium.Viewer
+ */
+class SharedView {
+    /**
+     * Create a view of the shared viewer
+     * @param {SharedViewRenderer} renderer - Renderer owning the shared viewer
+     * @param {String} elementId - The HTML element ID the view's image is displayed in
+     * @param {Object} viewSettings - View-specific settings
+     */
+    constructor(renderer, elementId, viewSettings) {
+        this.renderer = renderer;
+        this.elementId = elementId;
+        this.settings = viewSettings;
+
+        const scene = renderer.viewer.scene;
+        this.camera = new Cesium.Camera(scene);
+
+        // Separate collection so every view can add the same entity ids, shown only while the view is active
+        this.dataSource = new Cesium.CustomDataSource(elementId);
+        this.dataSource.show = false;
+        renderer.viewer.dataSources.add(this.dataSource);
+
+        // Last render of this view, displayed where the view's viewer would be
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'view-snapshot';
+        this.canvas.width = scene.canvas.width;
+        this.canvas.height = scene.canvas.height;
+        this.context = this.canvas.getContext('2d');
+
+        const container = document.getElementById(elementId);
+        container.innerHTML = '';
+        applyOutputSize(container);
+        container.appendChild(this.canvas);
+    }
+
+    /**
+     * The shared scene, switched to this view and rendered
+     * @returns {Cesium.Scene} - Scene of the shared viewer
+     */
+    get scene() {
+        this.renderer.activate(this);
+        return this.renderer.viewer.scene;
+    }
+
+    get entities() {
+        return this.dataSource.entities;
+    }
+
+    get terrainProvider() {
+        return this.renderer.viewer.terrainProvider;
+    }
+
+    set terrainProvider(terrainProvider) {
+        this.renderer.viewer.terrainProvider = terrainProvider;
+    }
+
+    /**
+     * Remove the view from the shared viewer (the viewer itself is kept)
+     */
+    destroy() {
+        this.renderer.removeView(this);
+    }
+}
+
+/**
+ * One off-screen Cesium viewer shared by all views, kept across pairs
+ */
+class SharedViewRenderer {
+    /**
+     * Create the shared viewer
+     * @param {Object} viewerSettings - Cesium viewer settings (default: VIEWER_SETTINGS1)
+     */
+    constructor(viewerSettings = VIEWER_SETTINGS1) {
+        // Off-screen container at the size of the visible views
+        this.container = document.createElement('div');
+        this.container.id = 'shared-view';
+        this.container.className = 'cesium-view offscreen-view';
+        document.querySelector('.view-container').appendChild(this.container);
+
+        // Imagery layers are added per provider as views need them
+        this.viewer = new Cesium.Viewer(this.container, { ...viewerSettings, baseLayer: false });
+        applyOutputResolution(this.viewer, this.container);
+
+        // Keep the tiles of every view cached while switching between them
+        this.viewer.scene.globe.tileCacheSize = RENDER_SETTINGS.sharedTileCacheSize;
+
+        // Imagery layer per imagery source
+        this.imageryLayers = {};
+        this.globeDefaults = {};
+        this.fogDefaults = {};
+        this.environmentDefaults = captureEnvironmentDefaults(this.viewer);
+        this.views = [];
+        this.activeView = null;
+
+        // Copy every render (including the render loop while tiles stream in) to the active view
+        this.removePostRenderListener = this.viewer.scene.postRender.addEventListener(() => this.copyToActiveView());
+    }
+
+    /**
+     * Add a view
+     * @param {String} elementId - The HTML element ID the view's image is displayed in
+     * @param {Object} viewSettings - View-specific settings
+     * @returns {SharedView} - The view, used like a Cesium.Viewer
+     */
+    addView(elementId, viewSettings) {
+        const view = new SharedView(this, elementId, viewSettings);
+        this.views.push(view);
+        return view;
+    }
+
+    /**
+     * Remove a view and its entities
+     * @param {SharedView} view - View to remove
+     */
+    removeView(view) {
+        this.views = this.views.filter(other => other !== view);
+        if (this.activeView === view) this.activeView = null;
+
+        this.viewer.dataSources.remove(view.dataSource, true);
+        view.canvas.remove();
+    }
+
+    /**
+     * Get the imagery layer of a view, adding it on first use
+     * Views with the same provider (or the same local tiles offline) share a layer
+     * @param {SharedView} view - The view
+     * @returns {Cesium.ImageryLayer} - The imagery layer
+     */
+    getImageryLayer(view) {
+        let key = view.settings.imagery;
+        if (OFFLINE_SETTINGS.enabled) {
+            key = `offline:${OFFLINE_SETTINGS.imagery[view.elementId] ? view.elementId : 'view2'}`;
+        }
+
+        if (!this.imageryLayers[key]) {
+            const layer = createImageryLayer(view.settings.imagery, view.elementId);
+            layer.show = false;
+            this.viewer.imageryLayers.add(layer);
+            this.imageryLayers[key] = layer;
+        }
+
+        return this.imageryLayers[key];
+    }
+
+    /**
+     * Switch the shared scene to a view and render it
+     * Does nothing if the view is already active
+     * @param {SharedView} view - View to render
+     */
+    activate(view) {
+        if (this.activeView === view) return;
+
+        const scene = this.viewer.scene;
+        this.activeView = view;
+        scene.camera = view.camera;
+
+        // Inactive cameras miss canvas resizes
+        view.camera.frustum.aspectRatio = scene.drawingBufferWidth / scene.drawingBufferHeight;
+
+        applyOverrides(scene.globe, view.settings.globe, this.globeDefaults);
+        applyOverrides(scene.fog, view.settings.fog, this.fogDefaults);
+        applyEnvironment(this.viewer, view.settings.environment, this.environmentDefaults);
+
+        // Only the view's imagery is shown, with the view's adjustments
+        const layer = this.getImageryLayer(view);
+        Object.values(this.imageryLayers).forEach(imageryLayer => {
+            imageryLayer.show = imageryLayer === layer;
+        });
+        const { brightness, contrast, hue, saturation, gamma } = view.settings.imageryAdjustments || {};
+        layer.brightness = brightness !== undefined ? brightness : 1.0;
+        layer.contrast = contrast !== undefined ? contrast : 1.0;
+        layer.hue = hue !== undefined ? hue : 0.0;
+        layer.saturation = saturation !== undefined ? saturation : 1.0;
+        layer.gamma = gamma !== undefined ? gamma : 1.0;
+
+        // Only the view's entities are shown
+        this.views.forEach(other => {
+            other.dataSource.show = other === view;
+        });
+
+        // Depth picks and captures read the last render
+        scene.render();
+    }
+
+    /**
+     * Copy the WebGL canvas to the canvas of the active view
+     * Runs in postRender, while the drawing buffer still holds the frame
+     */
+    copyToActiveView() {
+        const view = this.activeView;
+        if (!view) return;
+
+        const source = this.viewer.canvas;
+        if (view.canvas.width !== source.width || view.canvas.height !== source.height) {
+            view.canvas.width = source.width;
+            view.canvas.height = source.height;
+        }
+        view.context.drawImage(source, 0, 0);
+    }
+
+    /**
+     * Destroy the shared viewer and all views
+     */
+    destroy() {
+        this.removePostRenderListener();
+        this.views.slice().forEach(view => this.removeView(view));
+
+        try {
+            this.viewer.destroy();
+        } catch (e) {
+            console.error("Error destroying shared viewer:", e);
+        }
+        this.container.remove();
+    }
+}
+
+export {
+    SharedView,
+    SharedViewRenderer
+};
@@ -0,0 +1,207 @@
+/**
+ * Spatial index of the targets already used in the dataset
+ *
+ * Locations closer than LOCATION_SEPARATION.minDistance to a used target are rejected, so that
+ * no two pairs show nearly the same site (which would leak near-duplicates between splits).
+ * Like the region quotas, the check is only enforced during a dataset run, and the used targets
+ * are saved to LOCATION_SEPARATION.stateFile in the output directory. Several processes can write
+ * into the same directory: each one merges the file (mergeSeparationState) before checking a target
+ * for the last time and before writing the file
+ */
+
+import { LOCATION_SEPARATION } from './config.js';
+
+const EARTH_RADIUS = 6371000; // Mean Earth radius (m)
+const METERS_PER_DEGREE = 111000;
+
+// Used targets of the active run (null outside of a dataset run)
+let usedLocations = null;
+let usedKeys = new Set(); // getLocationKey of every used target, to merge saved states without duplicates
+
+// Grid hash over the used targets: "row,col" -> indices into usedLocations
+let grid = new Map();
+let cellSize = 0; // Grid cell size in meters (the separation distance)
+
+/**
+ * Great-circle distance between two positions
+ * @param {Number} lat1 - Latitude of the first position (degrees)
+ * @param {Number} lon1 - Longitude of the first position (degrees)
+ * @param {Number} lat2 - Latitude of the second position (degrees)
+ * @param {Number} lon2 - Longitude of the second position (degrees)
+ * @returns {Number} - Distance in meters
+ */
+function getDistance(lat1, lon1, lat2, lon2) {
+    const toRadians = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRadians;
+    const dLon = (lon2 - lon1) * toRadians;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Get the grid row of a latitude
+ * @param {Number} lat - Latitude in degrees
+ * @returns {Number} - Row index
+ */
+function getRow(lat) {
+    return Math.floor(lat * METERS_PER_DEGREE / cellSize);
+}
+
+/**
+ * Get the grid column of a longitude within a row
+ * Columns are scaled by the cosine of the row's center latitude, so cells stay roughly square
+ * @param {Number} row - Row index
+ * @param {Number} lon - Longitude in degrees
+ * @returns {Number} - Column index
+ */
+function getColumn(row, lon) {
+    const rowLat = (row + 0.5) * cellSize / METERS_PER_DEGREE;
+    const metersPerDegreeLon = METERS_PER_DEGREE * Math.max(Math.cos(rowLat * Math.PI / 180), 0.01);
+    return Math.floor(lon * metersPerDegreeLon / cellSize);
+}
+
+/**
+ * Identify a used target across processes
+ * @param {Object} location - Used target { lat, lon, seed }
+ * @returns {String} - Key of the target
+ */
+function getLocationKey(location) {
+    return `${location.lat},${location.lon},${location.seed}`;
+}
+
+/**
+ * Add a position to the grid hash
+ * @param {Number} index - Index of the position in usedLocations
+ */
+function addToGrid(index) {
+    const { lat, lon } = usedLocations[index];
+    const row = getRow(lat);
+    const key = `${row},${getColumn(row, lon)}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+}
+
+/**
+ * Start enforcing the separation for a dataset run
+ * @param {Object} state - Saved state { locations } to resume from (optional)
+ */
+function startSeparationRun(state = null) {
+    usedLocations = [];
+    usedKeys = new Set();
+    grid = new Map();
+    cellSize = LOCATION_SEPARATION.minDistance;
+
+    (state?.locations || []).forEach(location => recordUsedLocation(location));
+
+    if (usedLocations.length > 0) {
+        console.log(`Loaded ${usedLocations.length} used locations (minimum separation ${cellSize}m)`);
+    }
+}
+
+/**
+ * Stop enforcing the separation (single views and regenerated seeds may reuse a site)
+ */
+function endSeparationRun() {
+    usedLocations = null;
+    usedKeys = new Set();
+    grid = new Map();
+}
+
+/**
+ * Find a used target within the separation distance of a position
+ * @param {Number} lat - Latitude in degrees
+ * @param {Number} lon - Longitude in degrees
+ * @returns {Object|null} - { location, distance } of the closest used target in range, or null
+ */
+function findNearbyUsedLocation(lat, lon) {
+    if (!usedLocations || !(cellSize > 0)) return null;
+
+    // The separation is the cell size, so a neighbour in range is at most one row and
+    // (with columns re-evaluated per row) one column away
+    const row = getRow(lat);
+    let closest = null;
+    for (let r = row - 1; r <= row + 1; r++) {
+        const column = getColumn(r, lon);
+        for (let c = column - 1; c <= column + 1; c++) {
+            for (const index of grid.get(`${r},${c}`) || []) {
+                const location = usedLocations[index];
+                const distance = getDistance(lat, lon, location.lat, location.lon);
+                if (distance < cellSize && (!closest || distance < closest.distance)) {
+                    closest = { location, distance };
+                }
+            }
+        }
+    }
+    return closest;
+}
+
+/**
+ * Create the error thrown when a location is too close to a used target
+ * @param {Object} nearby - Result of findNearbyUsedLocation
+ * @returns {Error} - Error with seedRejected set
+ */
+function createSeparationError(nearby) {
+    const error = new Error(`Location within ${nearby.distance.toFixed(0)}m of a used target (seed ${nearby.location.seed})`);
+    error.seedRejected = true;
+    error.tooClose = true;
+    return error;
+}
+
+/**
+ * Record the target of a saved pair
+ * @param {Object} location - Location with lat, lon and optionally seed and region
+ */
+function recordUsedLocation(location) {
+    if (!usedLocations) return;
+
+    const key = getLocationKey(location);
+    if (usedKeys.has(key)) return;
+    usedKeys.add(key);
+
+    usedLocations.push({
+        lat: location.lat,
+        lon: location.lon,
+        seed: location.seed,
+        region: location.region
+    });
+    if (cellSize > 0) {
+        addToGrid(usedLocations.length - 1);
+    }
+}
+
+/**
+ * Add the targets saved by the other processes writing into the output directory
+ * @param {Object} state - State { locations } read from LOCATION_SEPARATION.stateFile (null if missing)
+ * @returns {Number} - Number of targets that were not known yet
+ */
+function mergeSeparationState(state) {
+    if (!usedLocations) return 0;
+
+    const count = usedLocations.length;
+    (state?.locations || []).forEach(location => recordUsedLocation(location));
+    return usedLocations.length - count;
+}
+
+/**
+ * Get the state to save in the output directory
+ * @returns {Object} - { minDistance, locations, updated }
+ */
+function getSeparationState() {
+    return {
+        minDistance: LOCATION_SEPARATION.minDistance,
+        locations: usedLocations || [],
+        updated: new Date().toISOString()
+    };
+}
+
+export {
+    getDistance,
+    startSeparationRun,
+    endSeparationRun,
+    findNearbyUsedLocation,
+    createSeparationError,
+    recordUsedLocation,
+    mergeSeparationState,
+    getSeparationState
+};
@@ -0,0 +1,184 @@
+/**
+ * Geographic train/val/test split assignment
+ *
+ * Each target is bucketed into a geohash cell, and the cell (not the pair) is assigned to a
+ * split by hashing its geohash, so every pair in an area lands in the same split and the
+ * assignment does not depend on the generation order. The split of each saved pair is listed
+ * in the split/<name>.txt manifests of the output directory. Several processes can write into
+ * the same directory: each one merges a manifest (mergeManifest) before rewriting it
+ */
+
+import { SPLIT_SETTINGS } from './config.js';
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Pair folders per split in the active dataset run (null outside of a run)
+let manifests = null;
+
+/**
+ * Encode a position as a geohash
+ * @param {Number} lat - Latitude in degrees
+ * @param {Number} lon - Longitude in degrees
+ * @param {Number} precision - Number of characters (4 ≈ 39 x 20 km, 5 ≈ 5 x 5 km)
+ * @returns {String} - Geohash of the cell containing the position
+ */
+function encodeGeohash(lat, lon, precision) {
+    const latRange = [-90, 90];
+    const lonRange = [-180, 180];
+    let geohash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true; // Bits alternate between longitude and latitude, starting with longitude
+
+    while (geohash.length < precision) {
+        const range = evenBit ? lonRange : latRange;
+        const value = evenBit ? lon : lat;
+        const mid = (range[0] + range[1]) / 2;
+
+        bits <<= 1;
+        if (value >= mid) {
+            bits |= 1;
+            range[0] = mid;
+        } else {
+            range[1] = mid;
+        }
+        evenBit = !evenBit;
+
+        if (++bitCount === 5) {
+            geohash += GEOHASH_ALPHABET[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+
+    return geohash;
+}
+
+/**
+ * Hash a string to a number in [0, 1) (32-bit FNV-1a)
+ * @param {String} text - Text to hash
+ * @returns {Number} - Uniformly distributed value in [0, 1)
+ */
+function hashToUnit(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Assign the split of a target location
+ * @param {Number} lat - Latitude in degrees
+ * @param {Number} lon - Longitude in degrees
+ * @returns {Object|null} - { name, cell, precision }, or null if split assignment is disabled
+ */
+function assignSplit(lat, lon) {
+    if (!SPLIT_SETTINGS.enabled) return null;
+
+    const cell = encodeGeohash(lat, lon, SPLIT_SETTINGS.cellPrecision);
+    const entries = Object.entries(SPLIT_SETTINGS.ratios).filter(([, ratio]) => ratio > 0);
+    if (entries.length === 0) {
+        throw new Error("SPLIT_SETTINGS.ratios must contain at least one positive ratio");
+    }
+    const total = entries.reduce((sum, [, ratio]) => sum + ratio, 0);
+
+    // The salt reshuffles which cells go to which split without changing the ratios
+    let threshold = hashToUnit(`${SPLIT_SETTINGS.salt}:${cell}`) * total;
+    let name = entries[entries.length - 1][0];
+    for (const [split, ratio] of entries) {
+        threshold -= ratio;
+        if (threshold < 0) {
+            name = split;
+            break;
+        }
+    }
+
+    return { name, cell, precision: SPLIT_SETTINGS.cellPrecision };
+}
+
+/**
+ * Start collecting the split manifests of a dataset run
+ * @param {Object} existing - Existing manifests { splitName: [pair folders] } to append to (optional)
+ */
+function startSplitManifests(existing = {}) {
+    manifests = {};
+    Object.keys(SPLIT_SETTINGS.ratios).forEach(name => {
+        manifests[name] = [...(existing[name] || [])];
+    });
+}
+
+/**
+ * Stop collecting split manifests
+ */
+function endSplitManifests() {
+    manifests = null;
+}
+
+/**
+ * Add a saved pair to the manifest of its split
+ * @param {Object} split - Split assigned by assignSplit
+ * @param {String} pairPath - Pair folder relative to the output directory
+ * @returns {String|null} - Manifest file name to rewrite, or null if nothing was recorded
+ */
+function recordSplitPair(split, pairPath) {
+    if (!manifests || !split || !pairPath) return null;
+
+    if (!manifests[split.name]) manifests[split.name] = [];
+    manifests[split.name].push(pairPath);
+    return getManifestFilename(split.name);
+}
+
+/**
+ * Add the pairs listed in a saved manifest by the other processes writing into the output directory
+ * Saved pairs come first, followed by the pairs of this process that are not listed yet
+ * @param {String} name - Split name
+ * @param {Array<String>} pairPaths - Pair folders of the saved manifest (from parseManifest)
+ */
+function mergeManifest(name, pairPaths) {
+    if (!manifests) return;
+
+    const saved = new Set(pairPaths);
+    manifests[name] = [...pairPaths, ...(manifests[name] || []).filter(pairPath => !saved.has(pairPath))];
+}
+
+/**
+ * Get the manifest file name of a split
+ * @param {String} name - Split name
+ * @returns {String} - File name inside SPLIT_SETTINGS.manifestFolder
+ */
+function getManifestFilename(name) {
+    return `${name}.txt`;
+}
+
+/**
+ * Get the contents of a split manifest (one pair folder per line)
+ * @param {String} name - Split name
+ * @returns {String} - Manifest text
+ */
+function getManifestText(name) {
+    const entries = manifests?.[name] || [];
+    return entries.length > 0 ? entries.join('\n') + '\n' : '';
+}
+
+/**
+ * Parse the contents of an existing split manifest
+ * @param {String|null} text - Manifest text (null if the file does not exist)
+ * @returns {Array<String>} - Pair folders
+ */
+function parseManifest(text) {
+    return (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+export {
+    encodeGeohash,
+    assignSplit,
+    startSplitManifests,
+    endSplitManifests,
+    recordSplitPair,
+    mergeManifest,
+    getManifestFilename,
+    getManifestText,
+    parseManifest
+};
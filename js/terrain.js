@@ -0,0 +1,88 @@
+/**
+ * Terrain provider and ground height sampling
+ */
+
+import { TERRAIN_SETTINGS, OFFLINE_SETTINGS } from './config.js';
+import { createOfflineTerrainProvider } from './offline.js';
+
+// Shared terrain provider promise (created once, reused by all viewers)
+let terrainProviderPromise = null;
+
+/**
+ * Get the terrain provider used for rendering and height sampling
+ * Cesium World Terrain, or the local terrain tiles in offline mode
+ * Falls back to the WGS84 ellipsoid if terrain is disabled or cannot be loaded
+ * @returns {Promise<Cesium.TerrainProvider>} - The terrain provider
+ */
+function getTerrainProvider() {
+    if (!terrainProviderPromise) {
+        if (!TERRAIN_SETTINGS.enabled) {
+            terrainProviderPromise = Promise.resolve(new Cesium.EllipsoidTerrainProvider());
+        } else if (OFFLINE_SETTINGS.enabled) {
+            terrainProviderPromise = createOfflineTerrainProvider().catch(error => {
+                console.warn("Local terrain tiles unavailable, falling back to the ellipsoid:", error);
+                return new Cesium.EllipsoidTerrainProvider();
+            });
+        } else {
+            terrainProviderPromise = Cesium.createWorldTerrainAsync({
+                requestVertexNormals: TERRAIN_SETTINGS.requestVertexNormals
+            }).catch(error => {
+                console.warn("Cesium World Terrain unavailable, falling back to the ellipsoid:", error);
+                return new Cesium.EllipsoidTerrainProvider();
+            });
+        }
+    }
+    return terrainProviderPromise;
+}
+
+/**
+ * Sample ground heights (meters above the WGS84 ellipsoid) for a list of positions
+ * @param {Array<Object>} positions - Positions with lat and lon in degrees
+ * @returns {Promise<Array<Object>>} - { height, source } per position, source is 'terrain' or 'ellipsoid'
+ */
+async function sampleGroundHeights(positions) {
+    const ellipsoidHeights = positions.map(() => ({ height: 0, source: 'ellipsoid' }));
+    const provider = await getTerrainProvider();
+
+    if (provider instanceof Cesium.EllipsoidTerrainProvider) {
+        return ellipsoidHeights;
+    }
+
+    try {
+        const cartographics = positions.map(position => Cesium.Cartographic.fromDegrees(position.lon, position.lat));
+        const sampled = await Cesium.sampleTerrainMostDetailed(provider, cartographics);
+
+        return sampled.map(cartographic => isFinite(cartographic.height) ?
+            { height: cartographic.height, source: 'terrain' } :
+            { height: 0, source: 'ellipsoid' });
+    } catch (error) {
+        console.warn("Terrain sampling failed, using ellipsoid heights:", error);
+        return ellipsoidHeights;
+    }
+}
+
+/**
+ * Get the ground height below a Cartesian position
+ * @param {Cesium.Cartesian3} position - The position (e.g. a camera)
+ * @returns {Promise<Object>} - { ellipsoidHeight, groundHeight, aboveGround, source }
+ */
+async function getHeightAboveGround(position) {
+    const cartographic = Cesium.Cartographic.fromCartesian(position);
+    const [ground] = await sampleGroundHeights([{
+        lat: Cesium.Math.toDegrees(cartographic.latitude),
+        lon: Cesium.Math.toDegrees(cartographic.longitude)
+    }]);
+
+    return {
+        ellipsoidHeight: cartographic.height,
+        groundHeight: ground.height,
+        aboveGround: cartographic.height - ground.height,
+        source: ground.source
+    };
+}
+
+export {
+    getTerrainProvider,
+    sampleGroundHeights,
+    getHeightAboveGround
+};
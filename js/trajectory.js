@@ -0,0 +1,222 @@
+/**
+ * Parametric flight paths for sequence mode
+ *
+ * A trajectory is a list of waypoints in the east-north-up frame of the target ground point.
+ * Waypoints without a heading/pitch look at the target; survey paths carry their own attitude
+ */
+
+import { SEQUENCE_SETTINGS, DRONE_PARAMS } from './config.js';
+import { randomInRange, sampleDistribution } from './random.js';
+import { calculateOrientationToTarget } from './utils.js';
+
+/**
+ * Orbit around the target at a constant radius and height
+ * @param {Function} random - Random function
+ * @param {Object} settings - SEQUENCE_SETTINGS.orbit
+ * @param {Number} frameCount - Number of waypoints
+ * @returns {Object} - { parameters, waypoints }
+ */
+function generateOrbit(random, settings, frameCount) {
+    const radius = randomInRange(random, settings.radiusRange);
+    const height = randomInRange(random, settings.heightRange);
+    const arc = Cesium.Math.toRadians(randomInRange(random, settings.arcRange));
+    const startAngle = random() * Math.PI * 2;
+    const direction = random() < 0.5 ? 1 : -1;
+
+    // A full circle would repeat the first frame at the end
+    const step = arc >= Math.PI * 2 ? arc / frameCount : arc / Math.max(frameCount - 1, 1);
+    const waypoints = [];
+    for (let i = 0; i < frameCount; i++) {
+        const angle = startAngle + direction * i * step;
+        waypoints.push({
+            east: radius * Math.cos(angle),
+            north: radius * Math.sin(angle),
+            up: height
+        });
+    }
+
+    return {
+        parameters: {
+            radius,
+            height,
+            arcDegrees: Cesium.Math.toDegrees(arc),
+            startAngleDegrees: Cesium.Math.toDegrees(startAngle),
+            direction: direction > 0 ? 'counterclockwise' : 'clockwise'
+        },
+        waypoints
+    };
+}
+
+/**
+ * Straight pass by the target
+ * @param {Function} random - Random function
+ * @param {Object} settings - SEQUENCE_SETTINGS.line
+ * @param {Number} frameCount - Number of waypoints
+ * @returns {Object} - { parameters, waypoints }
+ */
+function generateLine(random, settings, frameCount) {
+    const length = randomInRange(random, settings.lengthRange);
+    const offset = randomInRange(random, settings.offsetRange);
+    const height = randomInRange(random, settings.heightRange);
+    const course = random() * Math.PI * 2;
+
+    // Flight direction and the perpendicular offset of the closest point to the target
+    const along = { east: Math.cos(course), north: Math.sin(course) };
+    const across = { east: -along.north, north: along.east };
+
+    const waypoints = [];
+    for (let i = 0; i < frameCount; i++) {
+        const s = length * (frameCount > 1 ? i / (frameCount - 1) - 0.5 : 0);
+        waypoints.push({
+            east: offset * across.east + s * along.east,
+            north: offset * across.north + s * along.north,
+            up: height
+        });
+    }
+
+    return {
+        parameters: {
+            length,
+            offset,
+            height,
+            courseDegrees: Cesium.Math.toDegrees(course)
+        },
+        waypoints
+    };
+}
+
+/**
+ * Lawnmower survey over the target: parallel legs flown in alternating directions
+ * The camera keeps a fixed pitch (nadir by default) with the heading along the flight direction
+ * @param {Function} random - Random function
+ * @param {Object} settings - SEQUENCE_SETTINGS.lawnmower
+ * @param {Number} frameCount - Number of waypoints
+ * @returns {Object} - { parameters, waypoints }
+ */
+function generateLawnmower(random, settings, frameCount) {
+    const height = randomInRange(random, settings.heightRange);
+    const rotation = random() * Math.PI * 2;
+    const legs = Math.max(1, settings.legs);
+    const spacing = legs > 1 ? settings.width / (legs - 1) : 0;
+
+    // Corners of the survey pattern in the unrotated frame (x across legs, y along legs)
+    const corners = [];
+    for (let leg = 0; leg < legs; leg++) {
+        const x = -settings.width / 2 + leg * spacing;
+        const yStart = leg % 2 === 0 ? -settings.length / 2 : settings.length / 2;
+        corners.push({ x, y: yStart }, { x, y: -yStart });
+    }
+
+    // Frames evenly spaced along the whole pattern, including the turns between legs
+    const segments = corners.slice(1).map((corner, index) => ({
+        from: corners[index],
+        to: corner,
+        length: Math.hypot(corner.x - corners[index].x, corner.y - corners[index].y)
+    }));
+    const totalLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+
+    const waypoints = [];
+    for (let i = 0; i < frameCount; i++) {
+        let distance = totalLength * (frameCount > 1 ? i / (frameCount - 1) : 0);
+        let segment = segments[0];
+        for (segment of segments) {
+            if (distance <= segment.length) break;
+            distance -= segment.length;
+        }
+
+        const t = segment.length > 0 ? Math.min(distance / segment.length, 1) : 0;
+        const x = segment.from.x + t * (segment.to.x - segment.from.x);
+        const y = segment.from.y + t * (segment.to.y - segment.from.y);
+        const course = Math.atan2(segment.to.y - segment.from.y, segment.to.x - segment.from.x) + rotation;
+
+        waypoints.push({
+            east: x * Math.cos(rotation) - y * Math.sin(rotation),
+            north: x * Math.sin(rotation) + y * Math.cos(rotation),
+            up: height,
+            // Cesium headings are clockwise from north
+            heading: Cesium.Math.zeroToTwoPi(Math.PI / 2 - course),
+            pitch: settings.pitch
+        });
+    }
+
+    return {
+        parameters: {
+            width: settings.width,
+            length: settings.length,
+            legs,
+            height,
+            rotationDegrees: Cesium.Math.toDegrees(rotation),
+            pitch: settings.pitch
+        },
+        waypoints
+    };
+}
+
+const PATH_GENERATORS = {
+    orbit: generateOrbit,
+    line: generateLine,
+    lawnmower: generateLawnmower
+};
+
+/**
+ * Generate the flight path of a sequence
+ * @param {Function} random - Random function (usually the 'trajectory' stream of the sequence seed)
+ * @param {Object} settings - Sequence settings (default: SEQUENCE_SETTINGS)
+ * @returns {Object} - { path, frameCount, fov, parameters, waypoints } with fov in radians
+ */
+function generateTrajectory(random, settings = SEQUENCE_SETTINGS) {
+    const generator = PATH_GENERATORS[settings.path];
+    if (!generator) {
+        throw new Error(`Unknown sequence path "${settings.path}" - expected ${Object.keys(PATH_GENERATORS).join(', ')}`);
+    }
+
+    const { parameters, waypoints } = generator(random, settings[settings.path], settings.frameCount);
+
+    // One lens for the whole flight
+    const fov = Cesium.Math.toRadians(
+        sampleDistribution(random, DRONE_PARAMS.fovRange, DRONE_PARAMS.distributions.fov));
+
+    return {
+        path: settings.path,
+        frameCount: settings.frameCount,
+        fov,
+        parameters,
+        waypoints
+    };
+}
+
+/**
+ * Convert the waypoints of a trajectory into camera poses
+ * @param {Object} trajectory - Result of generateTrajectory
+ * @param {Cesium.Cartesian3} origin - Target ground point (origin of the waypoint frame)
+ * @param {Cesium.Cartesian3} lookAt - Point looked at by waypoints without their own attitude
+ * @param {Number} frameInterval - Seconds between frames
+ * @returns {Array<Object>} - Poses { index, time, position, orientation: { heading, pitch, roll } }
+ */
+function trajectoryToPoses(trajectory, origin, lookAt, frameInterval = SEQUENCE_SETTINGS.frameInterval) {
+    const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin);
+
+    return trajectory.waypoints.map((waypoint, index) => {
+        const position = Cesium.Matrix4.multiplyByPoint(
+            enuToFixed,
+            new Cesium.Cartesian3(waypoint.east, waypoint.north, waypoint.up),
+            new Cesium.Cartesian3()
+        );
+
+        const orientation = waypoint.heading !== undefined ?
+            { heading: waypoint.heading, pitch: waypoint.pitch, roll: 0 } :
+            calculateOrientationToTarget(position, lookAt);
+
+        return {
+            index,
+            time: index * frameInterval,
+            position,
+            orientation
+        };
+    });
+}
+
+export {
+    generateTrajectory,
+    trajectoryToPoses
+};
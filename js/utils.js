@@ -29,8 +29,8 @@ function calculateOrientationToTarget(cameraPosition, targetPoint) {
     );
     Cesium.Cartesian3.normalize(localDirection, localDirection);
     
-    // Convert to heading and pitch
-    const heading = Math.atan2(localDirection.y, localDirection.x);
+    // Convert to heading (clockwise from north, as used by Cesium cameras) and pitch
+    const heading = Math.atan2(localDirection.x, localDirection.y);
     const pitch = Math.asin(localDirection.z);
     
     return {
@@ -40,6 +40,69 @@ function calculateOrientationToTarget(cameraPosition, targetPoint) {
     };
 }
 
+/**
+ * Calculate the camera orientation that shows a target at a given image position
+ * Starts from the orientation looking straight at the target, then corrects heading and pitch
+ * (Newton steps) until the target projects onto the image point at the given roll
+ * @param {Cesium.Cartesian3} cameraPosition - Camera position
+ * @param {Cesium.Cartesian3} targetPoint - Target position
+ * @param {Object} imagePoint - { x, y } fractions of the image width and height (0.5, 0.5 = center, y down)
+ * @param {Number} roll - Camera roll in radians
+ * @param {Cesium.PerspectiveFrustum} frustum - Camera frustum (fovy and aspectRatio are used)
+ * @returns {Object} - Camera orientation { heading, pitch, roll } in radians
+ */
+function calculateOrientationForImagePoint(cameraPosition, targetPoint, imagePoint, roll, frustum) {
+    // Target in the east-north-up frame of the camera, where Camera.setView applies the orientation
+    const toLocal = Cesium.Matrix4.inverseTransformation(
+        Cesium.Transforms.eastNorthUpToFixedFrame(cameraPosition), new Cesium.Matrix4());
+    const localTarget = Cesium.Matrix4.multiplyByPoint(toLocal, targetPoint, new Cesium.Cartesian3());
+    
+    const tanY = Math.tan(frustum.fovy / 2);
+    const tanX = tanY * frustum.aspectRatio;
+    
+    // Image position of the target for a heading and pitch (same rotation as Camera.setView)
+    const project = (heading, pitch) => {
+        const rotation = Cesium.Matrix3.fromQuaternion(Cesium.Quaternion.fromHeadingPitchRoll(
+            new Cesium.HeadingPitchRoll(heading - Cesium.Math.PI_OVER_TWO, pitch, roll)));
+        const direction = Cesium.Matrix3.getColumn(rotation, 0, new Cesium.Cartesian3());
+        const up = Cesium.Matrix3.getColumn(rotation, 2, new Cesium.Cartesian3());
+        const right = Cesium.Cartesian3.cross(direction, up, new Cesium.Cartesian3());
+        
+        const depth = Cesium.Cartesian3.dot(localTarget, direction);
+        return {
+            x: 0.5 + Cesium.Cartesian3.dot(localTarget, right) / (depth * tanX) / 2,
+            y: 0.5 - Cesium.Cartesian3.dot(localTarget, up) / (depth * tanY) / 2
+        };
+    };
+    
+    let { heading, pitch } = calculateOrientationToTarget(cameraPosition, targetPoint);
+    const step = 1e-6;
+    for (let i = 0; i < 20; i++) {
+        const current = project(heading, pitch);
+        const errorX = current.x - imagePoint.x;
+        const errorY = current.y - imagePoint.y;
+        if (Math.hypot(errorX, errorY) < 1e-9) break;
+        
+        // Numerical Jacobian of the image position with respect to heading and pitch
+        const byHeading = project(heading + step, pitch);
+        const byPitch = project(heading, pitch + step);
+        const dxdh = (byHeading.x - current.x) / step;
+        const dydh = (byHeading.y - current.y) / step;
+        const dxdp = (byPitch.x - current.x) / step;
+        const dydp = (byPitch.y - current.y) / step;
+        const determinant = dxdh * dydp - dxdp * dydh;
+        
+        heading -= (dydp * errorX - dxdp * errorY) / determinant;
+        pitch -= (dxdh * errorY - dydh * errorX) / determinant;
+    }
+    
+    return {
+        heading: Cesium.Math.zeroToTwoPi(heading),
+        pitch,
+        roll
+    };
+}
+
 /**
  * Checks if a 3D point is visible from a camera position using view frustum checks
  * @param {Cesium.Cartesian3} point - The point to check visibility for
@@ -161,6 +224,48 @@ function projectPointToScreen(scene, point3D) {
     return point2D;
 }
 
+/**
+ * Compares the depth of a 3D point with the rendered depth at its projected pixel
+ * pickPosition reads the depth buffer, so the scene must be rendered the way it will be
+ * captured (entities hidden) for the comparison to be meaningful
+ * @param {Cesium.Scene} scene - The Cesium scene
+ * @param {Cesium.Cartesian3} point3D - The 3D point to check
+ * @param {Number} absoluteTolerance - Allowed depth difference (meters)
+ * @param {Number} relativeTolerance - Additional allowed difference as a fraction of the point depth
+ * @returns {Object} - { windowPosition, expectedDepth, renderedDepth, isConsistent, isOccluded }
+ */
+function checkDepthConsistency(scene, point3D, absoluteTolerance, relativeTolerance) {
+    const camera = scene.camera;
+    
+    // z-depth of the point along the optical axis
+    const offset = Cesium.Cartesian3.subtract(point3D, camera.positionWC, new Cesium.Cartesian3());
+    const expectedDepth = Cesium.Cartesian3.dot(offset, camera.directionWC);
+    
+    const windowPosition = expectedDepth > 0 ? projectPointToScreen(scene, point3D) : null;
+    if (!windowPosition) {
+        return { windowPosition: null, expectedDepth, renderedDepth: null, isConsistent: false, isOccluded: false };
+    }
+    
+    // Rendered surface at the same pixel (undefined where nothing is rendered)
+    const picked = scene.pickPositionSupported ? scene.pickPosition(windowPosition) : undefined;
+    if (!picked) {
+        return { windowPosition, expectedDepth, renderedDepth: null, isConsistent: false, isOccluded: false };
+    }
+    
+    Cesium.Cartesian3.subtract(picked, camera.positionWC, offset);
+    const renderedDepth = Cesium.Cartesian3.dot(offset, camera.directionWC);
+    const tolerance = absoluteTolerance + relativeTolerance * expectedDepth;
+    
+    return {
+        windowPosition,
+        expectedDepth,
+        renderedDepth,
+        isConsistent: Math.abs(renderedDepth - expectedDepth) <= tolerance,
+        // Something is rendered in front of the point
+        isOccluded: renderedDepth < expectedDepth - tolerance
+    };
+}
+
 /**
  * Calculates the quality of a match between two view points
  * @param {Array} matchingPoints - Array of matching points
@@ -395,11 +500,13 @@ function detectBlurryImage(imageDataUrl) {
 // Export utility functions
 export { 
     calculateOrientationToTarget,
+    calculateOrientationForImagePoint,
     isPointVisibleFromCamera,
     createOffsetPoint,
     generateRandomPointsNear,
     isPointInViewport,
     projectPointToScreen,
+    checkDepthConsistency,
     calculateMatchQuality,
     detectBlurryImage
 };
\ No newline at end of file
@@ -124,8 +124,10 @@ function drawMatchingLines(matchingPoints) {
         // Draw the virtual object marker in each view
         const pointColor1 = 'red';
         const pointColor2 = 'green';
-        drawVirtualObjectMarker(ctx, x1, y1, pointColor1, index, match.isForcedMatch);
-        drawVirtualObjectMarker(ctx, x2, y2, pointColor2, index, match.isForcedMatch);
+        // Occluded points are drawn like forced matches (yellow outline)
+        const isUncertain = match.isForcedMatch || match.isCorrect === false;
+        drawVirtualObjectMarker(ctx, x1, y1, pointColor1, index, isUncertain);
+        drawVirtualObjectMarker(ctx, x2, y2, pointColor2, index, isUncertain);
         
         // Add coordinates only if requested through debugPanel
         if (document.getElementById('debug-panel') && 
@@ -17,6 +17,7 @@ const fs = require('fs').promises;
  *   --headless    - Run browsers in headless mode (default: non-headless)
  *   --no-headless - Explicitly run browsers in non-headless mode (default behavior)
  *   --restart=N   - Set restart interval to N minutes (default: 10 minutes)
+ *   --url=URL     - App URL (default: the hosted app; use http://localhost:8090/ with tile-server.js)
  * 
  * Example:
  *   node playwright-dataset-gen.js 4 ./my-dataset --headless --restart=15
@@ -40,8 +41,11 @@ for (const arg of args) {
   }
 }
 
+// Parse app URL if provided (e.g. the local tile server for offline generation)
+const urlArg = args.find(arg => arg.startsWith('--url='));
+
 const CONFIG = {
-  url: 'https://own-dataset.vercel.app/',
+  url: urlArg ? urlArg.slice('--url='.length) : 'https://own-dataset.vercel.app/',
   instances: parseInt(args[0]) || Math.max(Math.floor(numCPUs * 0.75), 1),
   headless: args.includes('--headless') ? true : (args.includes('--no-headless') ? false : false), // Default to non-headless
   retryAttempts: 3,
@@ -53,6 +57,9 @@ const CONFIG = {
   restartInterval: restartMinutes * 60 * 1000 // Convert minutes to milliseconds
 };
 
+// File types written as raw bytes (everything else is treated as text)
+const BINARY_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.npy'];
+
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -240,9 +247,10 @@ async function runBrowser(workerId) {
       await fs.mkdir(CONFIG.outputDir, { recursive: true });
 
       // Inject the directory path
-      await page.evaluate((dirPath) => {
+      await page.evaluate(([dirPath, binaryExtensions]) => {
         window.__outputDir = dirPath;
-      }, CONFIG.outputDir);
+        window.__binaryExtensions = binaryExtensions;
+      }, [CONFIG.outputDir, BINARY_EXTENSIONS]);
 
       // Handle file saving
       await page.exposeFunction('saveFile', async (filePath, data) => {
@@ -257,7 +265,7 @@ async function runBrowser(workerId) {
           
           let buffer;
           if (Array.isArray(data) && data.length > 0) {
-            if (fileExt === '.jpg' || fileExt === '.jpeg' || fileExt === '.png') {
+            if (BINARY_EXTENSIONS.includes(fileExt)) {
               // For images, keep binary handling
               const totalLength = data.reduce((sum, chunk) => sum + (Array.isArray(chunk) ? chunk.length : 0), 0);
               buffer = Buffer.alloc(totalLength);
@@ -293,6 +301,15 @@ async function runBrowser(workerId) {
         }
       });
 
+      // Read back files written earlier (null if missing), e.g. resumable run state
+      await page.exposeFunction('readFile', async (filePath) => {
+        try {
+          return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+          return null;
+        }
+      });
+
       // Override the showDirectoryPicker to use our directory
       await page.evaluate(() => {
         // Keep track of current directory path and pending file operations
@@ -300,20 +317,22 @@ async function runBrowser(workerId) {
         window.__pendingWrites = new Map();
         window.__currentFileData = new Map();
         
-        window.showDirectoryPicker = async () => {
+        // Each directory handle is bound to its own path, so files written to the root
+        // after a subfolder write still land in the root
+        const createDirectoryHandle = (dirPath) => {
           return {
             kind: 'directory',
-            name: window.__outputDir,
+            name: dirPath.split('/').pop(),
             async *entries() {},
             async getDirectoryHandle(name, { create } = {}) {
               // Update current directory context when a subdirectory is created
-              window.__currentDir = `${window.__outputDir}/${name}`;
+              window.__currentDir = `${dirPath}/${name}`;
               console.log(`Creating directory: ${window.__currentDir}`);
-              return this;
+              return createDirectoryHandle(`${dirPath}/${name}`);
             },
             async getFileHandle(name, { create } = {}) {
-              // Use the current directory context for file paths
-              const filePath = `${window.__currentDir}/${name}`;
+              // File paths are relative to this handle's directory
+              const filePath = `${dirPath}/${name}`;
               console.log(`Creating file: ${filePath}`);
               
               // Clear any existing data for this file
@@ -323,6 +342,14 @@ async function runBrowser(workerId) {
                 kind: 'file',
                 name,
                 filePath,
+                async getFile() {
+                  // Read existing files (e.g. run state) through the Node.js context
+                  const content = await window.readFile(filePath);
+                  if (content === null) {
+                    throw new DOMException(`${name} not found`, 'NotFoundError');
+                  }
+                  return new File([content], name);
+                },
                 async createWritable() {
                   return {
                     async write(data) {
@@ -332,13 +359,15 @@ async function runBrowser(workerId) {
                       }
                       
                       const chunks = window.__currentFileData.get(filePath);
-                      const fileExt = filePath.toLowerCase().split('.').pop();
+                      const fileExt = '.' + filePath.toLowerCase().split('.').pop();
+                      // Same list as the Node.js side (BINARY_EXTENSIONS)
+                      const isBinaryFile = window.__binaryExtensions.includes(fileExt);
                       
                       console.log(`Writing to ${filePath}, data type: ${typeof data}, constructor: ${data?.constructor?.name}`);
                       
                       if (data instanceof Blob) {
                         console.log(`Processing Blob (${data.size} bytes) for ${filePath}`);
-                        if (fileExt === 'jpg' || fileExt === 'jpeg' || fileExt === 'png') {
+                        if (isBinaryFile) {
                           // For images, keep binary handling
                           const arrayBuffer = await data.arrayBuffer();
                           const uint8Array = new Uint8Array(arrayBuffer);
@@ -351,7 +380,7 @@ async function runBrowser(workerId) {
                           console.log(`Processed Blob as text of length ${text.length}`);
                         }
                       } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
-                        if (fileExt === 'jpg' || fileExt === 'jpeg' || fileExt === 'png') {
+                        if (isBinaryFile) {
                           // For images, keep binary handling
                           const uint8Array = data instanceof Uint8Array ? data : new Uint8Array(data.buffer || data);
                           chunks.push(Array.from(uint8Array));
@@ -389,6 +418,8 @@ async function runBrowser(workerId) {
             }
           };
         };
+        
+        window.showDirectoryPicker = async () => createDirectoryHandle(window.__outputDir);
       });
 
       // Modify the page to better capture file saving events
@@ -453,9 +484,10 @@ async function runBrowser(workerId) {
             ]);
             
             // Re-inject the directory path
-            await page.evaluate((dirPath) => {
+            await page.evaluate(([dirPath, binaryExtensions]) => {
               window.__outputDir = dirPath;
-            }, CONFIG.outputDir);
+              window.__binaryExtensions = binaryExtensions;
+            }, [CONFIG.outputDir, BINARY_EXTENSIONS]);
             
             // Reapply the showDirectoryPicker override
             await page.evaluate(() => {
@@ -464,20 +496,22 @@ async function runBrowser(workerId) {
               window.__pendingWrites = new Map();
               window.__currentFileData = new Map();
               
-              window.showDirectoryPicker = async () => {
+              // Each directory handle is bound to its own path, so files written to the root
+              // after a subfolder write still land in the root
+              const createDirectoryHandle = (dirPath) => {
                 return {
                   kind: 'directory',
-                  name: window.__outputDir,
+                  name: dirPath.split('/').pop(),
                   async *entries() {},
                   async getDirectoryHandle(name, { create } = {}) {
                     // Update current directory context when a subdirectory is created
-                    window.__currentDir = `${window.__outputDir}/${name}`;
+                    window.__currentDir = `${dirPath}/${name}`;
                     console.log(`Creating directory: ${window.__currentDir}`);
-                    return this;
+                    return createDirectoryHandle(`${dirPath}/${name}`);
                   },
                   async getFileHandle(name, { create } = {}) {
-                    // Use the current directory context for file paths
-                    const filePath = `${window.__currentDir}/${name}`;
+                    // File paths are relative to this handle's directory
+                    const filePath = `${dirPath}/${name}`;
                     console.log(`Creating file: ${filePath}`);
                     
                     // Clear any existing data for this file
@@ -487,6 +521,14 @@ async function runBrowser(workerId) {
                       kind: 'file',
                       name,
                       filePath,
+                      async getFile() {
+                        // Read existing files (e.g. run state) through the Node.js context
+                        const content = await window.readFile(filePath);
+                        if (content === null) {
+                          throw new DOMException(`${name} not found`, 'NotFoundError');
+                        }
+                        return new File([content], name);
+                      },
                       async createWritable() {
                         return {
                           async write(data) {
@@ -496,13 +538,15 @@ async function runBrowser(workerId) {
                             }
                             
                             const chunks = window.__currentFileData.get(filePath);
-                            const fileExt = filePath.toLowerCase().split('.').pop();
+                            const fileExt = '.' + filePath.toLowerCase().split('.').pop();
+                            // Same list as the Node.js side (BINARY_EXTENSIONS)
+                            const isBinaryFile = window.__binaryExtensions.includes(fileExt);
                             
                             console.log(`Writing to ${filePath}, data type: ${typeof data}, constructor: ${data?.constructor?.name}`);
                             
                             if (data instanceof Blob) {
                               console.log(`Processing Blob (${data.size} bytes) for ${filePath}`);
-                              if (fileExt === 'jpg' || fileExt === 'jpeg' || fileExt === 'png') {
+                              if (isBinaryFile) {
                                 // For images, keep binary handling
                                 const arrayBuffer = await data.arrayBuffer();
                                 const uint8Array = new Uint8Array(arrayBuffer);
@@ -515,7 +559,7 @@ async function runBrowser(workerId) {
                                 console.log(`Processed Blob as text of length ${text.length}`);
                               }
                             } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
-                              if (fileExt === 'jpg' || fileExt === 'jpeg' || fileExt === 'png') {
+                              if (isBinaryFile) {
                                 // For images, keep binary handling
                                 const uint8Array = data instanceof Uint8Array ? data : new Uint8Array(data.buffer || data);
                                 chunks.push(Array.from(uint8Array));
@@ -553,6 +597,8 @@ async function runBrowser(workerId) {
                   }
                 };
               };
+              
+              window.showDirectoryPicker = async () => createDirectoryHandle(window.__outputDir);
             });
             
             // Reapply the saveFile event handler
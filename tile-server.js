@@ -0,0 +1,169 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Local Tile Server
+ *
+ * Serves the app, a local tile directory and the vendored libraries so that datasets can be
+ * generated without network access: no Cesium Ion, ArcGIS, Overpass mirrors or cdnjs
+ * (see OFFLINE_SETTINGS and LIBRARY_URLS in js/config.js).
+ *
+ * Usage: node tile-server.js [TILE_DIR] [OPTIONS]
+ *
+ * Arguments:
+ *   TILE_DIR      - Tile directory (default: ./tiles), served under /tiles/
+ *
+ * Options:
+ *   --port=N      - Port to listen on (default: 8090)
+ *   --host=HOST   - Interface to bind (default: 127.0.0.1)
+ *   --vendor=DIR  - Installed npm packages (default: ./vendor/node_modules), served under /vendor/
+ *
+ * Expected tile directory layout:
+ *   imagery/view1/{z}/{x}/{y}.jpg   - Imagery for view 1 (XYZ / slippy-map tiles)
+ *   imagery/view2/{z}/{x}/{y}.jpg   - Imagery for view 2
+ *   terrain/layer.json              - Quantized-mesh terrain tileset (optional)
+ *   terrain/{z}/{x}/{y}.terrain
+ *   osm/buildings.geojson           - Local OSM building extract
+ *
+ * Vendored libraries (install once on a machine with network access, then copy the app directory):
+ *   npm install --prefix vendor --no-save cesium@1.106.0 jszip@3.10.1 file-saver@2.0.5
+ *
+ * Example:
+ *   node tile-server.js /data/tiles --port=8090
+ *   node playwright-dataset-gen.js 4 ./my-dataset --headless --url=http://localhost:8090/
+ */
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getOption(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : defaultValue;
+}
+
+const CONFIG = {
+  appDir: __dirname,
+  tileDir: path.resolve(args.find(a => !a.startsWith('--')) || path.join(__dirname, 'tiles')),
+  vendorDir: path.resolve(getOption('vendor', path.join(__dirname, 'vendor', 'node_modules'))),
+  port: parseInt(getOption('port', '8090')),
+  host: getOption('host', '127.0.0.1')
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.wasm': 'application/wasm',
+  '.terrain': 'application/vnd.quantized-mesh'
+};
+
+/**
+ * Resolve a URL path inside a root directory, refusing paths that escape it
+ */
+function resolveInside(rootDir, urlPath) {
+  const filePath = path.resolve(rootDir, '.' + path.posix.normalize('/' + urlPath));
+  if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+    return null;
+  }
+  return filePath;
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+async function handleRequest(req, res) {
+  // The app may be served from another origin (e.g. a dev server), so allow CORS for tiles
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendError(res, 405, 'Method not allowed');
+    return;
+  }
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Malformed escape sequence (URIError)
+    sendError(res, 400, 'Bad request');
+    return;
+  }
+
+  // /tiles/... from the tile directory, /vendor/... from the vendored libraries,
+  // everything else from the app directory
+  let filePath;
+  if (urlPath === '/tiles' || urlPath.startsWith('/tiles/')) {
+    filePath = resolveInside(CONFIG.tileDir, urlPath.slice('/tiles'.length));
+  } else if (urlPath === '/vendor' || urlPath.startsWith('/vendor/')) {
+    filePath = resolveInside(CONFIG.vendorDir, urlPath.slice('/vendor'.length));
+  } else {
+    filePath = resolveInside(CONFIG.appDir, urlPath === '/' ? '/index.html' : urlPath);
+  }
+
+  if (!filePath) {
+    sendError(res, 403, 'Forbidden');
+    return;
+  }
+
+  let data;
+  try {
+    data = await fs.readFile(filePath);
+  } catch (error) {
+    // Missing tiles are normal outside the downloaded area - Cesium falls back to the parent tile
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': data.length,
+    'Cache-Control': 'no-cache'
+  };
+
+  // Terrain builders usually write gzip-compressed tiles
+  if (data.length > 2 && data[0] === 0x1f && data[1] === 0x8b) {
+    headers['Content-Encoding'] = 'gzip';
+  }
+
+  res.writeHead(200, headers);
+  res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error(`Error serving ${req.url}:`, error);
+    if (!res.headersSent) {
+      sendError(res, 500, 'Internal server error');
+    } else {
+      res.end();
+    }
+  });
+});
+
+server.listen(CONFIG.port, CONFIG.host, () => {
+  console.log(`Serving app from ${CONFIG.appDir}`);
+  console.log(`Serving tiles from ${CONFIG.tileDir} at http://${CONFIG.host}:${CONFIG.port}/tiles/`);
+  console.log(`Serving libraries from ${CONFIG.vendorDir} at http://${CONFIG.host}:${CONFIG.port}/vendor/`);
+  fs.access(path.join(CONFIG.vendorDir, 'cesium')).catch(() => {
+    console.warn(`No vendored Cesium in ${CONFIG.vendorDir} - the app cannot start offline (see --vendor)`);
+  });
+  console.log(`Open http://${CONFIG.host}:${CONFIG.port}/ with OFFLINE_SETTINGS.enabled = true`);
+});